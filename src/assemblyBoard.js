@@ -0,0 +1,288 @@
+/**
+ * AssemblyBoard – optional jigsaw assembly after all image pieces are collected.
+ *
+ * The collected pieces are scattered around a faint outline of the picture and
+ * the player drags them into place (or taps a piece, then its spot). A piece
+ * dropped close enough to its slot snaps in and locks. Every drop counts as a
+ * move. Pieces can't leave the board, and solve() finishes the picture for
+ * players who'd rather skip ahead.
+ *
+ * Positions are kept in image pixels, so the board can be re-laid out on resize
+ * without moving anything.
+ */
+
+import { traceJigsawPath, drawJigsawPiece } from './imagePuzzle.js';
+
+// Room around the picture for scattered pieces, as a share of the image size
+const BOARD_MARGIN = 0.3;
+// How close (share of the piece's shorter side) a drop must be to snap
+const SNAP_RATIO = 0.3;
+// Pointer travel (CSS px) below which a press counts as a tap, not a drag
+const TAP_SLOP = 6;
+
+export class AssemblyBoard {
+  /**
+   * @param {HTMLCanvasElement} canvas - Board canvas (sized with resize())
+   * @param {import('./imagePuzzle.js').ImagePuzzle} imagePuzzle
+   * @param {Object} [options]
+   * @param {Function} [options.rng=Math.random] - Scatters the pieces
+   * @param {Function} [options.onMove] - Called with the move count after every drop
+   * @param {Function} [options.onSnap] - Called when a piece locks into place
+   * @param {Function} [options.onComplete] - Called with {moves, timeMs, solved} once the picture is whole (solved: finished by solve())
+   */
+  constructor(canvas, imagePuzzle, { rng = Math.random, onMove, onSnap, onComplete } = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.puzzle = imagePuzzle;
+    this.source = imagePuzzle.sourceCanvas;
+    this.onMove = onMove;
+    this.onSnap = onSnap;
+    this.onComplete = onComplete;
+
+    this.moves = 0;
+    this.startTime = performance.now();
+    this.finished = false;
+    this.selected = null; // Piece picked by a tap, waiting for a tap on its spot
+    this.drag = null;
+
+    // Board bounds in image pixels
+    const { width, height } = this.source;
+    this.bounds = {
+      x: -width * BOARD_MARGIN,
+      y: -height * BOARD_MARGIN,
+      width: width * (1 + BOARD_MARGIN * 2),
+      height: height * (1 + BOARD_MARGIN * 2)
+    };
+
+    // Scatter every piece somewhere on the board (fully visible, tabs included)
+    this.pieces = imagePuzzle.pieces.map(piece => ({
+      piece,
+      x: this.bounds.x + piece.tab + rng() * (this.bounds.width - piece.sw - piece.tab * 2),
+      y: this.bounds.y + piece.tab + rng() * (this.bounds.height - piece.sh - piece.tab * 2),
+      locked: false
+    }));
+
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    canvas.addEventListener('pointerdown', this._onPointerDown);
+    canvas.addEventListener('pointermove', this._onPointerMove);
+    canvas.addEventListener('pointerup', this._onPointerUp);
+    canvas.addEventListener('pointercancel', this._onPointerUp);
+  }
+
+  /**
+   * Fit the board to a CSS-pixel box and redraw
+   * @param {number} maxWidth
+   * @param {number} maxHeight
+   */
+  resize(maxWidth, maxHeight) {
+    const dpr = window.devicePixelRatio || 1;
+    this.scale = Math.min(maxWidth / this.bounds.width, maxHeight / this.bounds.height);
+    const cssWidth = Math.round(this.bounds.width * this.scale);
+    const cssHeight = Math.round(this.bounds.height * this.scale);
+
+    this.canvas.width = cssWidth * dpr;
+    this.canvas.height = cssHeight * dpr;
+    this.canvas.style.width = cssWidth + 'px';
+    this.canvas.style.height = cssHeight + 'px';
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this.draw();
+  }
+
+  /**
+   * Milliseconds spent assembling so far
+   * @returns {number}
+   */
+  getElapsed() {
+    return (this.finishTime ?? performance.now()) - this.startTime;
+  }
+
+  /**
+   * Stop listening for input
+   */
+  destroy() {
+    this.canvas.removeEventListener('pointerdown', this._onPointerDown);
+    this.canvas.removeEventListener('pointermove', this._onPointerMove);
+    this.canvas.removeEventListener('pointerup', this._onPointerUp);
+    this.canvas.removeEventListener('pointercancel', this._onPointerUp);
+  }
+
+  // Image pixels -> canvas CSS pixels
+  _toScreen(x, y) {
+    return [(x - this.bounds.x) * this.scale, (y - this.bounds.y) * this.scale];
+  }
+
+  // Pointer event -> image pixels
+  _toBoard(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return [
+      (e.clientX - rect.left) / this.scale + this.bounds.x,
+      (e.clientY - rect.top) / this.scale + this.bounds.y
+    ];
+  }
+
+  // Top-most loose piece under a board point
+  _pieceAt(x, y) {
+    const dpr = window.devicePixelRatio || 1;
+    const [sx, sy] = this._toScreen(x, y);
+    for (let i = this.pieces.length - 1; i >= 0; i--) {
+      const entry = this.pieces[i];
+      if (entry.locked) continue;
+      const { piece } = entry;
+      const [px, py] = this._toScreen(entry.x, entry.y);
+      traceJigsawPath(this.ctx, px, py, piece.sw * this.scale, piece.sh * this.scale, piece.edges, piece.tab * this.scale);
+      // isPointInPath works in device pixels, ignoring the transform
+      if (this.ctx.isPointInPath(sx * dpr, sy * dpr)) return entry;
+    }
+    return null;
+  }
+
+  // Keep a piece (tabs included) on the board
+  _clamp(entry) {
+    const { piece } = entry;
+    const { x, y, width, height } = this.bounds;
+    entry.x = Math.max(x + piece.tab, Math.min(x + width - piece.sw - piece.tab, entry.x));
+    entry.y = Math.max(y + piece.tab, Math.min(y + height - piece.sh - piece.tab, entry.y));
+  }
+
+  // Bring a piece to the top of the pile
+  _raise(entry) {
+    this.pieces.splice(this.pieces.indexOf(entry), 1);
+    this.pieces.push(entry);
+  }
+
+  _onPointerDown(e) {
+    if (this.finished) return;
+    const [x, y] = this._toBoard(e);
+    const entry = this._pieceAt(x, y);
+    this.drag = {
+      entry,
+      offsetX: entry ? x - entry.x : 0,
+      offsetY: entry ? y - entry.y : 0,
+      startClientX: e.clientX,
+      startClientY: e.clientY,
+      moved: false
+    };
+    if (entry) {
+      this._raise(entry);
+      this.canvas.setPointerCapture(e.pointerId);
+    }
+  }
+
+  _onPointerMove(e) {
+    const drag = this.drag;
+    if (!drag?.entry) return;
+    if (!drag.moved && Math.hypot(e.clientX - drag.startClientX, e.clientY - drag.startClientY) < TAP_SLOP) return;
+
+    drag.moved = true;
+    this.selected = null;
+    const [x, y] = this._toBoard(e);
+    drag.entry.x = x - drag.offsetX;
+    drag.entry.y = y - drag.offsetY;
+    this._clamp(drag.entry);
+    this.draw();
+  }
+
+  _onPointerUp(e) {
+    const drag = this.drag;
+    this.drag = null;
+    if (!drag || this.finished) return;
+
+    if (drag.moved) {
+      this._drop(drag.entry);
+    } else if (drag.entry) {
+      // Tap on a piece: pick it (or put it back down)
+      this.selected = this.selected === drag.entry ? null : drag.entry;
+      this.draw();
+    } else if (this.selected) {
+      // Tap on the board: move the picked piece there, centred on the tap
+      const [x, y] = this._toBoard(e);
+      const entry = this.selected;
+      this.selected = null;
+      entry.x = x - entry.piece.sw / 2;
+      entry.y = y - entry.piece.sh / 2;
+      this._drop(entry);
+    }
+  }
+
+  // Finish a move: snap into place if close enough
+  _drop(entry) {
+    const { piece } = entry;
+    this.moves++;
+    this._clamp(entry);
+
+    const snapDistance = Math.min(piece.sw, piece.sh) * SNAP_RATIO;
+    if (Math.hypot(entry.x - piece.sx, entry.y - piece.sy) <= snapDistance) {
+      entry.x = piece.sx;
+      entry.y = piece.sy;
+      entry.locked = true;
+      // Locked pieces go underneath the loose ones
+      this.pieces.splice(this.pieces.indexOf(entry), 1);
+      this.pieces.unshift(entry);
+      this.onSnap?.();
+    }
+
+    this.onMove?.(this.moves);
+    this.draw();
+
+    if (this.pieces.every(p => p.locked)) {
+      this._finish(false);
+    }
+  }
+
+  /**
+   * Put every remaining piece in place and finish
+   */
+  solve() {
+    if (this.finished) return;
+    this.drag = null;
+    this.selected = null;
+    this.pieces.forEach(entry => {
+      entry.x = entry.piece.sx;
+      entry.y = entry.piece.sy;
+      entry.locked = true;
+    });
+    this.draw();
+    this._finish(true);
+  }
+
+  _finish(solved) {
+    this.finished = true;
+    this.finishTime = performance.now();
+    this.onComplete?.({ moves: this.moves, timeMs: this.getElapsed(), solved });
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    const scale = this.scale;
+    ctx.clearRect(0, 0, this.bounds.width * scale, this.bounds.height * scale);
+
+    // Faint picture and empty slots to aim for
+    const [ox, oy] = this._toScreen(0, 0);
+    ctx.globalAlpha = 0.15;
+    ctx.drawImage(this.source, ox, oy, this.source.width * scale, this.source.height * scale);
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.lineWidth = 1;
+    this.pieces.forEach(({ piece }) => {
+      const [px, py] = this._toScreen(piece.sx, piece.sy);
+      traceJigsawPath(ctx, px, py, piece.sw * scale, piece.sh * scale, piece.edges, piece.tab * scale);
+      ctx.stroke();
+    });
+
+    // Pieces: locked first (they're at the front of the list), loose ones on top
+    this.pieces.forEach(entry => {
+      const { piece } = entry;
+      const [px, py] = this._toScreen(entry.x, entry.y);
+      drawJigsawPiece(ctx, this.source, piece, px, py, scale);
+      if (entry.locked) return;
+
+      const picked = entry === this.selected || entry === this.drag?.entry;
+      ctx.strokeStyle = picked ? '#FFD93D' : 'rgba(255, 255, 255, 0.85)';
+      ctx.lineWidth = picked ? 3 : 1.5;
+      traceJigsawPath(ctx, px, py, piece.sw * scale, piece.sh * scale, piece.edges, piece.tab * scale);
+      ctx.stroke();
+    });
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Campaign module - several puzzles played in order from one link
+ *
+ * A campaign link's config has a `stages` list; each stage is a puzzle
+ * (phrase or image) with its own theme and clue, and inherits everything
+ * else (character, difficulty, lives, ...) from the link. Each stage is
+ * played on a fresh page load, so progress between stages - the current
+ * stage and the results so far - lives in sessionStorage for the tab.
+ */
+
+import { hashString } from './utils/random.js';
+
+// Fields a stage may set; anything else comes from the link's shared config
+export const STAGE_FIELDS = ['phrase', 'mode', 'image', 'pieces', 'assemble', 'theme', 'clue', 'clueReveal', 'split', 'guesses', 'match', 'matchFold', 'matchHint'];
+export const MAX_STAGES = 10;
+
+const STORAGE_PREFIX = 'birdle-campaign-';
+
+/**
+ * Build the config for one stage: the shared config with the stage's fields on top
+ * @param {Object} config - Link config with a `stages` list
+ * @param {number} index - Stage index
+ * @returns {Object} Single-puzzle config
+ */
+export function getStageConfig(config, index) {
+  const { stages, ...stageConfig } = config;
+  STAGE_FIELDS.forEach(field => {
+    stageConfig[field] = stages[index][field];
+  });
+  return stageConfig;
+}
+
+export class Campaign {
+  /**
+   * @param {string} linkId - Identifies the link (e.g. its payload), so different campaigns don't share progress
+   * @param {number} stageCount
+   */
+  constructor(linkId, stageCount) {
+    this.key = STORAGE_PREFIX + hashString(linkId).toString(36);
+    this.stageCount = stageCount;
+    this.stage = 0;
+    this.results = []; // One { time, fails, score } per finished stage
+    this.linkKey = ''; // Key derived from the creator's password (never the password itself), so it's only asked for once
+    this.load();
+  }
+
+  /**
+   * Restore progress saved earlier in this tab
+   */
+  load() {
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(this.key));
+      if (!saved || !Array.isArray(saved.results)) return;
+      this.linkKey = typeof saved.linkKey === 'string' ? saved.linkKey : '';
+      // A finished campaign starts over
+      if (saved.results.length >= this.stageCount) return;
+      this.results = saved.results;
+      this.stage = this.results.length;
+    } catch (error) {
+      console.error('Error loading campaign progress:', error);
+    }
+  }
+
+  /**
+   * Save progress for the next stage's page load
+   */
+  save() {
+    try {
+      sessionStorage.setItem(this.key, JSON.stringify({ results: this.results, linkKey: this.linkKey }));
+    } catch (error) {
+      console.error('Error saving campaign progress:', error);
+    }
+  }
+
+  /**
+   * Remember the link's key (from exportLinkKey()) for the following stages
+   * @param {string} linkKey
+   */
+  setLinkKey(linkKey) {
+    this.linkKey = linkKey;
+    this.save();
+  }
+
+  /**
+   * Record the result of the current stage
+   * @param {{time: number, fails: number, score: number}} result
+   */
+  completeStage(result) {
+    this.results[this.stage] = result;
+    this.save();
+  }
+
+  /**
+   * Whether the current stage is the last one
+   * @returns {boolean}
+   */
+  isLastStage() {
+    return this.stage === this.stageCount - 1;
+  }
+
+  /**
+   * Total of a stat over the finished stages
+   * @param {'time'|'fails'|'score'} stat
+   * @returns {number}
+   */
+  getTotal(stat) {
+    return this.results.reduce((sum, result) => sum + (result?.[stat] || 0), 0);
+  }
+
+  /**
+   * Forget this campaign's progress (so the link starts over from stage 1)
+   */
+  clear() {
+    try {
+      sessionStorage.removeItem(this.key);
+    } catch (error) {
+      console.error('Error clearing campaign progress:', error);
+    }
+  }
+}
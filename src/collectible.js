@@ -1,11 +1,20 @@
 /**
  * Collectible class - represents a theme-based puzzle piece in the game world
+ * Single letters are drawn as round tokens; multi-character pieces (words,
+ * syllables, chunks) stretch into a pill wide enough for their text.
  */
 
+import { countGraphemes } from './utils/graphemes.js';
+
+const MAX_PILL_WIDTH = 180; // Longest pill before the text is shrunk to fit
+// Emoji fonts after the game font so emoji pieces draw in color on every platform
+const PIECE_FONT_FAMILY = "'Secular One', \"Apple Color Emoji\", \"Segoe UI Emoji\", \"Noto Color Emoji\", sans-serif";
+
 export class Collectible {
   constructor(x, y, pieceIndex, pieceText, theme = null) {
     this.x = x;
     this.y = y;
+    this.prevX = x; // Position at the previous tick (for interpolated rendering)
     this.pieceIndex = pieceIndex;
     this.pieceText = pieceText;
     this.width = 40;
@@ -31,10 +40,40 @@ export class Collectible {
   }
   
   /**
-   * Update collectible animation and position
+   * Size the collectible for its text (pills grow with the number of characters)
+   * @param {number} size - Height, and width of a single-character token
+   */
+  setSize(size) {
+    const length = countGraphemes(this.pieceText);
+    this.height = size;
+    this.width = length <= 1 ? size : Math.min(MAX_PILL_WIDTH, size + (length - 1) * size * 0.35);
+  }
+
+  /**
+   * Trace the token outline: a circle, or a pill for multi-character pieces
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} inset - Shrink (negative grows) the outline by this many pixels
+   */
+  traceShape(ctx, inset) {
+    const radius = this.height / 2 - inset;
+    const halfStraight = (this.width - this.height) / 2;
+
+    ctx.beginPath();
+    if (halfStraight <= 0) {
+      ctx.arc(0, 0, radius, 0, Math.PI * 2);
+      return;
+    }
+    ctx.arc(halfStraight, 0, radius, -Math.PI / 2, Math.PI / 2);
+    ctx.arc(-halfStraight, 0, radius, Math.PI / 2, Math.PI * 1.5);
+    ctx.closePath();
+  }
+
+  /**
+   * Update collectible animation and position - one fixed tick
    */
   update() {
     // Move left (Flappy Bird style)
+    this.prevX = this.x;
     this.x -= this.scrollSpeed;
 
     // Bobbing animation
@@ -57,10 +96,12 @@ export class Collectible {
   /**
    * Draw the collectible
    * @param {CanvasRenderingContext2D} ctx
+   * @param {number} [alpha=1] - Interpolation between the previous and current tick (0-1)
    */
-  draw(ctx) {
+  draw(ctx, alpha = 1) {
     if (this.collected) return;
 
+    const displayX = this.prevX + (this.x - this.prevX) * alpha;
     const displayY = this.y + Math.sin(this.bobOffset) * 5;
 
     ctx.save();
@@ -68,8 +109,10 @@ export class Collectible {
     // Reset state
     ctx.globalAlpha = 1;
 
-    ctx.translate(this.x + this.width / 2, displayY + this.height / 2);
-    ctx.rotate(this.rotation);
+    ctx.translate(displayX + this.width / 2, displayY + this.height / 2);
+    // Pills only wobble – spinning a long word makes it unreadable
+    const isPill = this.width > this.height;
+    ctx.rotate(isPill ? Math.sin(this.rotation) * 0.12 : this.rotation);
 
     // Pulsing glow effect
     let currentGlowRadius = this.glowRadius;
@@ -82,45 +125,47 @@ export class Collectible {
     // shadowBlur is expensive on mobile, this achieves similar effect
     const glowLayers = 3;
     for (let i = glowLayers; i > 0; i--) {
-      const layerRadius = this.width / 2 + (currentGlowRadius / glowLayers) * i;
       const layerOpacity = 0.15 / i; // Decreasing opacity for outer layers
       ctx.fillStyle = this.glowColor.replace(/[\d.]+\)/, `${layerOpacity})`);
-      ctx.beginPath();
-      ctx.arc(0, 0, layerRadius, 0, Math.PI * 2);
+      this.traceShape(ctx, -(currentGlowRadius / glowLayers) * i);
       ctx.fill();
     }
 
     // Draw collectible background
     ctx.fillStyle = this.color;
-    ctx.beginPath();
-    ctx.arc(0, 0, this.width / 2, 0, Math.PI * 2);
+    this.traceShape(ctx, 0);
     ctx.fill();
 
-    // Draw inner circle
+    // Draw inner shape
     ctx.fillStyle = this.innerColor;
-    ctx.beginPath();
-    ctx.arc(0, 0, this.width / 2 - 4, 0, Math.PI * 2);
+    this.traceShape(ctx, 4);
     ctx.fill();
 
-    // Draw the piece text
+    // Draw the piece text (shrunk to fit long pieces)
     ctx.fillStyle = this.textColor;
-    ctx.font = "bold 22px 'Secular One', sans-serif";
+    ctx.font = `bold 22px ${PIECE_FONT_FAMILY}`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
+    const maxTextWidth = this.width - 12;
+    const textWidth = ctx.measureText(this.pieceText).width;
+    if (isPill && textWidth > maxTextWidth) {
+      ctx.font = `bold ${Math.floor(22 * maxTextWidth / textWidth)}px ${PIECE_FONT_FAMILY}`;
+    }
     ctx.fillText(this.pieceText, 0, 0);
 
     ctx.restore();
 
     // Draw sparkles
-    this.drawSparkles(ctx, displayY);
+    this.drawSparkles(ctx, displayX, displayY);
   }
   
   /**
    * Draw sparkle effects around collectible
    * @param {CanvasRenderingContext2D} ctx
+   * @param {number} displayX
    * @param {number} displayY
    */
-  drawSparkles(ctx, displayY) {
+  drawSparkles(ctx, displayX, displayY) {
     const sparklePositions = [
       { x: -15, y: -15 },
       { x: 15, y: -15 },
@@ -128,9 +173,12 @@ export class Collectible {
       { x: 15, y: 15 }
     ];
 
+    // Push sparkles out to the pill ends for wide pieces
+    const stretch = Math.max(0, (this.width - this.height) / 2);
+
     sparklePositions.forEach((pos, i) => {
       const offset = Math.sin(this.bobOffset + i) * 3;
-      const sparkleX = this.x + this.width / 2 + pos.x + offset;
+      const sparkleX = displayX + this.width / 2 + pos.x + Math.sign(pos.x) * stretch + offset;
       const sparkleY = displayY + this.height / 2 + pos.y + offset;
 
       ctx.save();
@@ -0,0 +1,46 @@
+/**
+ * Crash modes for Birdle
+ * Decide what a crash costs: classic wipes all collected pieces, the forgiving
+ * modes keep progress (all of it, or up to the last checkpoint) and add a
+ * time penalty instead.
+ *
+ *   keep            - 'none' | 'checkpoint' | 'all' - Progress kept after a crash
+ *   penaltyMs       - Time added to the session clock per crash
+ *   checkpointEvery - Fraction of the puzzle between checkpoints ('checkpoint' only)
+ */
+
+export const CRASH_MODES = {
+  classic: {
+    id: 'classic',
+    name: 'Classic',
+    emoji: '💥',
+    keep: 'none',
+    penaltyMs: 0
+  },
+
+  checkpoint: {
+    id: 'checkpoint',
+    name: 'Checkpoints',
+    emoji: '🚩',
+    keep: 'checkpoint',
+    penaltyMs: 3000,
+    checkpointEvery: 0.25
+  },
+
+  forgiving: {
+    id: 'forgiving',
+    name: 'Forgiving',
+    emoji: '🛟',
+    keep: 'all',
+    penaltyMs: 10000
+  }
+};
+
+/**
+ * Get crash mode by ID
+ * @param {string} crashModeId - The crash mode identifier
+ * @returns {object} Crash mode (defaults to classic)
+ */
+export function getCrashMode(crashModeId) {
+  return CRASH_MODES[crashModeId] || CRASH_MODES.classic;
+}
@@ -0,0 +1,137 @@
+/**
+ * Daily Birdle - one puzzle a day for everyone, from the bundled phrase list
+ *
+ * The day's phrase, theme and course seed all come from the player's local
+ * date, so everyone gets the same puzzle on the same day without a server.
+ * Streaks, the last-played date and past results are kept in localStorage.
+ */
+
+import { DAILY_PHRASES } from './dailyPhrases.js';
+import { getThemeIds } from './themes.js';
+import { hashString, deriveSeed } from './utils/random.js';
+
+export const DAILY_PARAM = 'daily';
+
+const DAILY_EPOCH = Date.UTC(2026, 9, 19); // Daily Birdle #1
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATS_KEY = 'birdle-daily';
+const MAX_HISTORY_DAYS = 365;
+
+/**
+ * Get a local date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+function getDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the day before a local date
+ * @param {Date} date
+ * @returns {Date}
+ */
+function getPreviousDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+}
+
+/**
+ * Get the puzzle of the day
+ * @param {Date} [date=new Date()]
+ * @returns {{number: number, dateKey: string, phrase: string, themeId: string, seed: number}}
+ */
+export function getDailyPuzzle(date = new Date()) {
+  const dateKey = getDateKey(date);
+  const day = Math.round((Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - DAILY_EPOCH) / DAY_MS);
+  const seed = hashString(`daily:${dateKey}`);
+  const themeIds = getThemeIds();
+  // Each day has its own entry; days outside the list pick one by date
+  const phraseIndex = day >= 0 && day < DAILY_PHRASES.length ? day : deriveSeed(seed, 'phrase') % DAILY_PHRASES.length;
+
+  return {
+    number: day + 1,
+    dateKey,
+    phrase: DAILY_PHRASES[phraseIndex],
+    themeId: themeIds[deriveSeed(seed, 'theme') % themeIds.length],
+    seed
+  };
+}
+
+/**
+ * Load the player's daily stats
+ * @returns {{streak: number, maxStreak: number, lastPlayed: string|null, history: Object<string, {number: number, time: number, fails: number, score: number}>}}
+ */
+export function loadDailyStats() {
+  const stats = { streak: 0, maxStreak: 0, lastPlayed: null, history: {} };
+  try {
+    const saved = JSON.parse(localStorage.getItem(STATS_KEY));
+    if (saved && typeof saved === 'object') {
+      Object.assign(stats, saved);
+    }
+  } catch (error) {
+    console.error('Error loading daily stats:', error);
+  }
+  return stats;
+}
+
+/**
+ * Current streak as of a date (a missed day breaks it)
+ * @param {Object} stats - From loadDailyStats()
+ * @param {Date} [date=new Date()]
+ * @returns {number}
+ */
+export function getCurrentStreak(stats, date = new Date()) {
+  const { lastPlayed } = stats;
+  return lastPlayed === getDateKey(date) || lastPlayed === getDateKey(getPreviousDay(date)) ? stats.streak : 0;
+}
+
+/**
+ * Whether the player already solved a daily puzzle
+ * @param {Object} stats - From loadDailyStats()
+ * @param {{dateKey: string}} puzzle
+ * @returns {boolean}
+ */
+export function hasSolvedDaily(stats, puzzle) {
+  return !!stats.history[puzzle.dateKey];
+}
+
+/**
+ * Record a solved daily puzzle and update the streak. Only the first solve of a day counts.
+ * @param {Object} puzzle - From getDailyPuzzle()
+ * @param {{time: number, fails: number, score: number}} result
+ * @returns {Object} Updated stats
+ */
+export function recordDailyResult(puzzle, result) {
+  const stats = loadDailyStats();
+  if (hasSolvedDaily(stats, puzzle)) return stats;
+
+  const [year, month, day] = puzzle.dateKey.split('-').map(Number);
+  const previousKey = getDateKey(getPreviousDay(new Date(year, month - 1, day)));
+  stats.streak = stats.lastPlayed === previousKey ? stats.streak + 1 : 1;
+  stats.maxStreak = Math.max(stats.maxStreak, stats.streak);
+  stats.lastPlayed = puzzle.dateKey;
+  stats.history[puzzle.dateKey] = { number: puzzle.number, ...result };
+
+  // Keep the history bounded
+  const dateKeys = Object.keys(stats.history).sort();
+  dateKeys.slice(0, Math.max(0, dateKeys.length - MAX_HISTORY_DAYS)).forEach(key => delete stats.history[key]);
+
+  try {
+    localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+  } catch (error) {
+    console.error('Error saving daily stats:', error);
+  }
+  return stats;
+}
+
+/**
+ * Time left until the next daily puzzle (local midnight)
+ * @param {Date} [date=new Date()]
+ * @returns {number} Milliseconds
+ */
+export function getTimeUntilNextDaily(date = new Date()) {
+  const midnight = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+  return midnight.getTime() - date.getTime();
+}
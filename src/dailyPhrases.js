@@ -0,0 +1,159 @@
+/**
+ * Phrase list for the Daily Birdle
+ *
+ * Daily Birdle #N plays entry N-1 (see daily.js), so appending never changes a
+ * day that already has its own entry; reordering or removing entries does.
+ * Days past the end of the list fall back to a pick by date, which appending
+ * does change - keep the list ahead of the calendar.
+ */
+
+export const DAILY_PHRASES = [
+  'Early bird',
+  'Piece of cake',
+  'Break the ice',
+  'Once in a blue moon',
+  'Time flies',
+  'Over the moon',
+  'Under the weather',
+  'Spill the beans',
+  'Hit the road',
+  'Call it a day',
+  'Birds of a feather',
+  'On cloud nine',
+  'Back to square one',
+  'Hang in there',
+  'Easy does it',
+  'Let it go',
+  'Better late than never',
+  'Home sweet home',
+  'Best of both worlds',
+  'Break a leg',
+  'Catch some rays',
+  'Cold feet',
+  'Cool as a cucumber',
+  'Cross your fingers',
+  'Cut to the chase',
+  'Down to earth',
+  'Every cloud has a silver lining',
+  'Fair and square',
+  'Few and far between',
+  'Fly the nest',
+  'Free as a bird',
+  'Go the extra mile',
+  'Good things take time',
+  'Hit the nail on the head',
+  'In the nick of time',
+  'It takes two',
+  'Jump the gun',
+  'Keep your chin up',
+  'Kill two birds with one stone',
+  'Last but not least',
+  'Leave no stone unturned',
+  'Light as a feather',
+  'Make a wish',
+  'Night owl',
+  'No pain no gain',
+  'Off the hook',
+  'On the ball',
+  'Out of the blue',
+  'Practice makes perfect',
+  'Rain or shine',
+  'Rise and shine',
+  'Rule of thumb',
+  'See you later',
+  'Sleep on it',
+  'Slow and steady',
+  'Take it easy',
+  'The sky is the limit',
+  'Through thick and thin',
+  'Time will tell',
+  'Up in the air',
+  'Wing it',
+  'Wise as an owl',
+  'You name it',
+  'A bird in the hand',
+  'All ears',
+  'Around the clock',
+  'As good as gold',
+  'Back in the day',
+  'Beat around the bush',
+  'Bite the bullet',
+  'Blessing in disguise',
+  'Bright and early',
+  'By the book',
+  'Chase your dreams',
+  'Come rain or shine',
+  'Curiosity killed the cat',
+  'Dark horse',
+  'Dream big',
+  'Eat your greens',
+  'Feather in your cap',
+  'First things first',
+  'Follow your heart',
+  'Full of beans',
+  'Get the ball rolling',
+  'Give it a shot',
+  'Go with the flow',
+  'Good as new',
+  'Happy go lucky',
+  'Head in the clouds',
+  'Hold your horses',
+  'In a nutshell',
+  'Keep calm and carry on',
+  'Learn the ropes',
+  'Let the cat out of the bag',
+  'Lucky break',
+  'Make hay while the sun shines',
+  'Mind the gap',
+  'Never say never',
+  'Nest egg',
+  'No time like the present',
+  'On top of the world',
+  'Out of this world',
+  'Pecking order',
+  'Play it by ear',
+  'Pretty as a picture',
+  'Ruffle some feathers',
+  'Safe and sound',
+  'Second wind',
+  'Sharp as a tack',
+  'Smooth sailing',
+  'Sooner or later',
+  'Spread your wings',
+  'Stay in touch',
+  'Take flight',
+  'Tell me more',
+  'The early bird catches the worm',
+  'Think outside the box',
+  'Tip of the iceberg',
+  'Touch and go',
+  'Under the sea',
+  'Walk in the park',
+  'Wear your heart on your sleeve',
+  'When pigs fly',
+  'Whole nine yards',
+  'Worth the wait',
+  'You only live once',
+  'Actions speak louder than words',
+  'All in good time',
+  'Bird of paradise',
+  'Calm before the storm',
+  'Crack of dawn',
+  'Eagle eyed',
+  'Flight of fancy',
+  'Golden hour',
+  'Hop skip and jump',
+  'Into the wild',
+  'Just around the corner',
+  'Music to my ears',
+  'Northern lights',
+  'Shooting star',
+  'Silver lining',
+  'Summer breeze',
+  'Sweet dreams',
+  'Take a bow',
+  'Tickled pink',
+  'Twinkle twinkle little star',
+  'Up with the lark',
+  'Wind beneath my wings'
+];
@@ -0,0 +1,93 @@
+/**
+ * Difficulty presets for Birdle
+ * Each preset tunes the physics separately for desktop and mobile (touch timing is harder)
+ *
+ * An optional ramp (per puzzle) speeds the run up and narrows the gaps as the
+ * player progresses, so long phrases get harder toward the end.
+ *
+ * Physics values are per fixed tick (60 ticks/sec):
+ *   spawnDistance          - Distance between obstacles (in pixels)
+ *   gapSize                - Size of gap in obstacles
+ *   scrollSpeed            - Horizontal movement speed for obstacles/collectibles
+ *   gravity                - Player gravity
+ *   flap                   - Player flap strength (negative = up)
+ *   collectibleSpawnFrames - How often to attempt collectible spawn (in ticks)
+ */
+
+export const DIFFICULTIES = {
+  easy: {
+    id: 'easy',
+    name: 'Easy',
+    emoji: '🌱',
+    desktop: { spawnDistance: 400, gapSize: 240, scrollSpeed: 2.5, gravity: 0.5, flap: -7.5, collectibleSpawnFrames: 100 },
+    mobile: { spawnDistance: 460, gapSize: 300, scrollSpeed: 1.9, gravity: 0.4, flap: -9, collectibleSpawnFrames: 80 }
+  },
+
+  normal: {
+    id: 'normal',
+    name: 'Normal',
+    emoji: '🐦',
+    desktop: { spawnDistance: 350, gapSize: 200, scrollSpeed: 3, gravity: 0.6, flap: -8, collectibleSpawnFrames: 120 },
+    mobile: { spawnDistance: 420, gapSize: 260, scrollSpeed: 2.2, gravity: 0.45, flap: -9.5, collectibleSpawnFrames: 90 }
+  },
+
+  hard: {
+    id: 'hard',
+    name: 'Hard',
+    emoji: '🔥',
+    desktop: { spawnDistance: 320, gapSize: 170, scrollSpeed: 3.6, gravity: 0.65, flap: -8.3, collectibleSpawnFrames: 140 },
+    mobile: { spawnDistance: 380, gapSize: 225, scrollSpeed: 2.6, gravity: 0.5, flap: -9.8, collectibleSpawnFrames: 100 }
+  },
+
+  insane: {
+    id: 'insane',
+    name: 'Insane',
+    emoji: '💀',
+    desktop: { spawnDistance: 290, gapSize: 145, scrollSpeed: 4.3, gravity: 0.7, flap: -8.6, collectibleSpawnFrames: 160 },
+    mobile: { spawnDistance: 350, gapSize: 195, scrollSpeed: 3, gravity: 0.55, flap: -10.2, collectibleSpawnFrames: 110 }
+  }
+};
+
+/**
+ * Get difficulty preset by ID
+ * @param {string} difficultyId - The difficulty identifier
+ * @returns {object} Difficulty preset (defaults to normal)
+ */
+export function getDifficulty(difficultyId) {
+  return DIFFICULTIES[difficultyId] || DIFFICULTIES.normal;
+}
+
+// Ramp modes: what the ramp follows as the run goes on
+export const RAMP_MODES = {
+  pieces: { id: 'pieces', name: 'As pieces are collected' },
+  score: { id: 'score', name: 'As pipes are passed' }
+};
+
+// How far the ramp goes at full strength
+export const RAMP_MAX_SPEED_BOOST = 0.4; // +40% scroll speed
+export const RAMP_MAX_GAP_SHRINK = 0.25; // -25% gap size
+export const RAMP_FULL_SCORE = 40; // Pipes passed before the score ramp peaks
+
+/**
+ * Get ramp mode by ID
+ * @param {string|null} rampId - The ramp mode identifier
+ * @returns {object|null} Ramp mode, or null when the ramp is off
+ */
+export function getRampMode(rampId) {
+  return RAMP_MODES[rampId] || null;
+}
+
+/**
+ * Scale base physics by how far along the ramp the run is
+ * @param {number} level - Ramp progress from 0 (start) to 1 (full)
+ * @param {number} scrollSpeed - Base scroll speed
+ * @param {number} gapSize - Base gap size
+ * @returns {{scrollSpeed: number, gapSize: number}}
+ */
+export function applyRamp(level, scrollSpeed, gapSize) {
+  const t = Math.max(0, Math.min(1, level));
+  return {
+    scrollSpeed: scrollSpeed * (1 + RAMP_MAX_SPEED_BOOST * t),
+    gapSize: Math.round(gapSize * (1 - RAMP_MAX_GAP_SHRINK * t))
+  };
+}
@@ -1,4 +1,8 @@
-import { decodeFromUrlSafe } from './utils/urlEncoding.js';
+import { decodeLinkValue, exportLinkKey, isPasswordProtected, PAYLOAD_PARAM } from './utils/urlEncoding.js';
+import { getLinkConfig, getCampaign, getDaily } from './linkConfig.js';
+import { splitGraphemes } from './utils/graphemes.js';
+import { getTextDirection, isolateWords } from './utils/textDirection.js';
+import { matchGuess, MATCH_MODES } from './utils/textMatching.js';
 import { Puzzle } from './puzzle.js';
 import { Player } from './player.js';
 import { World } from './world.js';
@@ -6,18 +10,64 @@ import { Collectible } from './collectible.js';
 import { Obstacle } from './obstacle.js';
 import { ParticleSystem } from './particles.js';
 import { getTheme } from './themes.js';
-import { ImagePuzzle } from './imagePuzzle.js';
+import { getDifficulty, getRampMode, applyRamp, RAMP_FULL_SCORE } from './difficulty.js';
+import { getCrashMode } from './crashModes.js';
+import { ImagePuzzle, traceJigsawPath } from './imagePuzzle.js';
+import { MiniMap } from './miniMap.js';
 import { JigsawCollectible } from './jigsawCollectible.js';
+import { AssemblyBoard } from './assemblyBoard.js';
 import { loadAndResize } from './utils/imageProcessor.js';
-
-// Get URL parameters
+import { isEmbeddedImage, getEmbeddedImageUrl } from './utils/imageEmbed.js';
+import { createRng, deriveSeed, hashString, decodeSeed, encodeSeed } from './utils/random.js';
+import { InputRecorder, ReplayPlayer, decodeReplay } from './replay.js';
+import { scoreGuess, getCorrectPositions } from './guessFeedback.js';
+import { calculateScore } from './scoring.js';
+import { getDailyPuzzle, loadDailyStats, hasSolvedDaily, recordDailyResult, getCurrentStreak, getTimeUntilNextDaily } from './daily.js';
+
+// Get the puzzle settings from the link (compressed payload or legacy params)
 const urlParams = new URLSearchParams(window.location.search);
-const encodedPhrase = urlParams.get('p');
-const playerEmoji = urlParams.get('e') || '🐦';
-const themeId = urlParams.get('t') || 'classic';
+const linkConfig = getLinkConfig();
+const campaign = getCampaign(); // Multi-stage link (null for a single puzzle)
+const daily = getDaily(); // Today's Daily Birdle (null for friend-made puzzles)
+let dailyCountdownId = null; // Victory screen's next-puzzle countdown
+const encodedPhrase = linkConfig.phrase;
+const playerEmoji = linkConfig.emoji || '🐦';
+const themeId = linkConfig.theme || 'classic';
+const difficultyId = linkConfig.difficulty || 'normal';
+const rampId = linkConfig.ramp;
+const crashModeId = linkConfig.crashMode || 'classic';
+const livesParam = parseInt(linkConfig.lives, 10);
+const splitModeId = linkConfig.split || 'letter';
+const guessLimitParam = parseInt(linkConfig.guesses, 10);
+const matchModeParam = linkConfig.match;
+const matchOptions = { foldScripts: linkConfig.matchFold === true, closeHint: linkConfig.matchHint === true };
+const revealClueGradually = linkConfig.clueReveal === true;
+const encodedMessage = linkConfig.message;
+const encodedSenderName = linkConfig.senderName;
+
+// Replay mode: drive the game from a recorded session instead of live input
+const encodedReplay = urlParams.get('replay');
+let replay = null;
+if (encodedReplay) {
+  try {
+    replay = new ReplayPlayer(decodeReplay(encodedReplay));
+  } catch (error) {
+    console.error('Error decoding replay:', error);
+  }
+}
+
+// Run seed: taken from the replay or link, or derived from the puzzle itself so
+// older links without `s` still give every player the same course
+const linkSeed = decodeSeed(linkConfig.seed) ?? hashString(linkConfig.phrase || linkConfig.image || '');
+const runSeed = replay
+  ? replay.seed
+  : campaign && campaign.stage > 0 ? deriveSeed(linkSeed, `stage-${campaign.stage}`) : linkSeed; // New course per stage
 
-// Get theme configuration
+// Get theme and difficulty configuration
 const theme = getTheme(themeId);
+const difficulty = getDifficulty(difficultyId);
+let rampMode = getRampMode(rampId);
+let crashMode = getCrashMode(crashModeId);
 console.log('Theme ID:', themeId);
 console.log('Theme loaded:', theme);
 
@@ -25,6 +75,7 @@ console.log('Theme loaded:', theme);
 const canvas = document.getElementById('gameCanvas');
 const ctx = canvas.getContext('2d');
 const piecesDisplay = document.getElementById('piecesDisplay');
+const miniMapCanvas = document.getElementById('miniMap');
 const progressText = document.getElementById('progressText');
 const victoryScreen = document.getElementById('victoryScreen');
 const solvedPhrase = document.getElementById('solvedPhrase');
@@ -37,6 +88,9 @@ const countdownNumber = document.getElementById('countdownNumber');
 const guessBtn = document.getElementById('guessBtn');
 const guessModal = document.getElementById('guessModal');
 const guessHint = document.getElementById('guessHint');
+const guessBudget = document.getElementById('guessBudget');
+const guessClue = document.getElementById('guessClue');
+const guessHistoryList = document.getElementById('guessHistory');
 const guessInput = document.getElementById('guessInput');
 const submitGuessBtn = document.getElementById('submitGuessBtn');
 const cancelGuessBtn = document.getElementById('cancelGuessBtn');
@@ -45,19 +99,55 @@ const confettiCanvas = document.getElementById('confettiCanvas');
 const confettiCtx = confettiCanvas.getContext('2d');
 const shareTwitterBtn = document.getElementById('shareTwitter');
 const shareWhatsAppBtn = document.getElementById('shareWhatsApp');
+const shareButtons = document.getElementById('shareButtons');
+const exportReplayBtn = document.getElementById('exportReplayBtn');
 const timerDisplay = document.getElementById('timerDisplay');
 const completionStats = document.getElementById('completionStats');
 const victoryImageCanvas = document.getElementById('victoryImageCanvas');
+const personalMessage = document.getElementById('personalMessage');
+const messageText = document.getElementById('messageText');
+const messageFrom = document.getElementById('messageFrom');
 const instructionText = document.getElementById('instructionText');
+const clueText = document.getElementById('clueText');
+const hudClue = document.getElementById('hudClue');
+const stageText = document.getElementById('stageText');
+const dailyCountdown = document.getElementById('dailyCountdown');
+const assemblyScreen = document.getElementById('assemblyScreen');
+const assemblyCanvas = document.getElementById('assemblyCanvas');
+const assemblyMoves = document.getElementById('assemblyMoves');
+const assemblyTimer = document.getElementById('assemblyTimer');
+const assemblySolveBtn = document.getElementById('assemblySolveBtn');
+const difficultyDisplay = document.getElementById('difficultyDisplay');
+const livesContainer = document.getElementById('lives');
+const livesDisplay = document.getElementById('livesDisplay');
 
 // Image-mode state
 let imageMode = false;
 let imagePuzzle = null;
+let miniMap = null; // HUD thumbnail of the image puzzle
 let imagePuzzleCanvas = null;
 let usedFallback = false;
 
+// Optional assembly phase: put the collected pieces together before the victory screen
+const assembleImage = linkConfig.assemble === true;
+let assemblyBoard = null;
+let assemblyResult = null; // { moves, timeMs, solved } once assembled
+let assemblyTimerId = null;
+let collectionTime = null; // Session time when the last piece was collected (assembly not included)
+
+// Creator's optional clue (e.g. "A movie quote"), decoded in init()
+let clue = null;
+
+// Creator's personal message and name, decrypted in init() and shown on victory
+let personalMessageText = null;
+let personalMessageFrom = null;
+
+// Password-protected links give the player a few tries before sending them back
+const MAX_PASSWORD_ATTEMPTS = 3;
+
 // Game state
 let puzzle = null;
+let phraseDirection = 'ltr'; // Base direction of the phrase ('rtl' for Hebrew, Arabic, ...)
 let player = null;
 let world = null;
 let collectibles = [];
@@ -68,24 +158,59 @@ let gamePaused = false;
 let animationId = null;
 let score = 0;
 let failCount = 0;
+let lives = 1;
+let hitsTaken = 0; // Hearts lost over the whole session
+let guessHistory = []; // Scored wrong guesses (Wordle-style feedback), oldest first
+let solvedByGuess = false;
+let hiddenFractionAtSolve = 0; // Share of pieces still uncollected when the phrase was guessed
+let finalScore = 0;
+
+// Guess budget (set by the creator, 0 = unlimited); every wrong guess costs time
+const MAX_GUESSES = Number.isInteger(guessLimitParam) && guessLimitParam > 0 ? Math.min(10, guessLimitParam) : 0;
+const WRONG_GUESS_PENALTY_MS = 5000;
+
+// How forgiving guess matching is (lenient folds accents, punctuation, whitespace; matchOptions add script folding and near-miss hints)
+const matchMode = MATCH_MODES.includes(matchModeParam) ? matchModeParam : 'lenient';
+
+// Seeded random source for the course (gap positions, piece order, spawn heights).
+// Re-created at the start of every attempt so each retry flies the same course.
+let courseRng = createRng(deriveSeed(runSeed, 'course'));
 
 // Particle system for death effects
-let particleSystem = new ParticleSystem();
+let particleSystem = new ParticleSystem(createRng(deriveSeed(runSeed, 'fx')));
 
 // Session timer (persists across retries)
 let sessionStartTime = null;
 let completionTime = null;
+let penaltyTime = 0; // Penalties added to the clock (forgiving crash modes, wrong guesses)
 let isFirstStart = true; // Track if this is the first game start (for countdown)
 
-// Flappy Bird style constants (values may be overridden for mobile)
+// Last checkpoint (collected-piece snapshot) for the checkpoint crash mode
+let checkpointState = null;
+let checkpointCount = 0;
+
+// Flappy Bird style layout constants (values may be overridden for mobile)
 let PLAYER_X = 150; // Fixed X position for player
-let OBSTACLE_SPAWN_DISTANCE = 350; // Distance between obstacles (in pixels)
-let GAP_SIZE = 200; // Size of gap in obstacles
 let MIN_GAP_Y = 150; // Minimum gap center Y
-let SCROLL_SPEED = 3; // Default horizontal movement speed for obstacles/collectibles
-let PLAYER_GRAVITY = 0.6;
-let PLAYER_FLAP = -8;
-let COLLECTIBLE_SPAWN_FRAMES = 120; // How often to attempt collectible spawn (in frames)
+let COLLECTIBLE_SIZE = 40; // Collectible hitbox/display size
+
+// Physics constants (set from the difficulty preset below)
+let OBSTACLE_SPAWN_DISTANCE; // Distance between obstacles (in pixels)
+let GAP_SIZE; // Size of gap in obstacles
+let SCROLL_SPEED; // Horizontal movement speed for obstacles/collectibles
+let PLAYER_GRAVITY;
+let PLAYER_FLAP;
+let COLLECTIBLE_SPAWN_FRAMES; // How often to attempt collectible spawn (in frames)
+
+// Current speed and gap size (the base values above, scaled by the ramp if enabled)
+let currentScrollSpeed = 0;
+let currentGapSize = 0;
+let rampLevel = 0;
+
+// Lives (set by the creator, 1 = classic one-hit game over)
+const MAX_LIVES_LIMIT = 5;
+let MAX_LIVES = Number.isInteger(livesParam) ? Math.max(1, Math.min(MAX_LIVES_LIMIT, livesParam)) : 1;
+const INVULNERABLE_TICKS = 90; // Blink time after losing a heart
 
 let lastObstacleX = 0; // Track last obstacle X position
 
@@ -116,13 +241,88 @@ let MOBILE_PARTICLE_REDUCTION = 0.6;  // 40% fewer particles on mobile
 if (IS_MOBILE) {
   console.log('📱 Mobile device detected - applying physics and rendering optimizations');
   PLAYER_X = 120;
-  OBSTACLE_SPAWN_DISTANCE = 420;
-  GAP_SIZE = 260;
   MIN_GAP_Y = 120;
-  SCROLL_SPEED = 2.2; // slower for easier timing on touch
-  PLAYER_GRAVITY = 0.45; // softer gravity for easier control
-  PLAYER_FLAP = -9.5; // adjusted flap strength
-  COLLECTIBLE_SPAWN_FRAMES = 90; // spawn collectibles slightly more often
+  COLLECTIBLE_SIZE = 48; // bigger pickups for touch
+}
+
+// Apply the creator's difficulty preset (desktop and mobile are tuned separately)
+const physics = IS_MOBILE ? difficulty.mobile : difficulty.desktop;
+OBSTACLE_SPAWN_DISTANCE = physics.spawnDistance;
+GAP_SIZE = physics.gapSize;
+SCROLL_SPEED = physics.scrollSpeed;
+PLAYER_GRAVITY = physics.gravity;
+PLAYER_FLAP = physics.flap;
+COLLECTIBLE_SPAWN_FRAMES = physics.collectibleSpawnFrames;
+
+// Replays run with the physics they were recorded with, whatever this device is
+if (replay) {
+  const cfg = replay.config;
+  PLAYER_X = cfg.playerX;
+  OBSTACLE_SPAWN_DISTANCE = cfg.spawnDistance;
+  GAP_SIZE = cfg.gapSize;
+  MIN_GAP_Y = cfg.minGapY;
+  SCROLL_SPEED = cfg.scrollSpeed;
+  PLAYER_GRAVITY = cfg.gravity;
+  PLAYER_FLAP = cfg.flap;
+  COLLECTIBLE_SIZE = cfg.collectibleSize;
+  COLLECTIBLE_SPAWN_FRAMES = cfg.collectibleSpawnFrames ?? COLLECTIBLE_SPAWN_FRAMES;
+  rampMode = getRampMode(cfg.ramp);
+  crashMode = getCrashMode(cfg.crashMode);
+  MAX_LIVES = cfg.lives ?? 1;
+}
+currentScrollSpeed = SCROLL_SPEED;
+currentGapSize = GAP_SIZE;
+
+// Snapshot of everything the simulation depends on (stored with recordings)
+function getReplayConfig() {
+  return {
+    width: canvasWidth,
+    height: canvasHeight,
+    playerX: PLAYER_X,
+    spawnDistance: OBSTACLE_SPAWN_DISTANCE,
+    gapSize: GAP_SIZE,
+    minGapY: MIN_GAP_Y,
+    scrollSpeed: SCROLL_SPEED,
+    gravity: PLAYER_GRAVITY,
+    flap: PLAYER_FLAP,
+    collectibleSize: COLLECTIBLE_SIZE,
+    collectibleSpawnFrames: COLLECTIBLE_SPAWN_FRAMES,
+    ramp: rampMode?.id ?? null,
+    crashMode: crashMode.id,
+    lives: MAX_LIVES
+  };
+}
+
+// Input recording (live play) – exported from the victory screen
+let recorder = null;
+let pendingFlap = false;
+let pendingFlapTime = 0;
+
+// Fixed simulation rate – update() always advances exactly one tick, so speeds and
+// gravity are per tick and the game plays the same on 60Hz, 120Hz and 144Hz displays
+const TICK_MS = 1000 / 60;
+const MAX_FRAME_MS = 250; // Clamp long stalls (e.g. background tab) instead of fast-forwarding
+let lastFrameTime = null;
+let tickAccumulator = 0;
+
+// Advance the fixed-step clock to `now` and return how many ticks are due.
+// The remainder left in tickAccumulator is the interpolation factor for drawing.
+function advanceClock(now) {
+  if (lastFrameTime === null) {
+    lastFrameTime = now;
+  }
+  tickAccumulator += Math.min(now - lastFrameTime, MAX_FRAME_MS);
+  lastFrameTime = now;
+
+  const ticks = Math.floor(tickAccumulator / TICK_MS);
+  tickAccumulator -= ticks * TICK_MS;
+  return ticks;
+}
+
+// Reset the fixed-step clock (after pauses, retries and loop switches)
+function resetClock() {
+  lastFrameTime = null;
+  tickAccumulator = 0;
 }
 
 // Track which pieces need to spawn
@@ -141,27 +341,48 @@ async function init() {
     }
   }
 
+  // Theme the HUD and the image frames (the stylesheet falls back to the classic look)
+  const rootStyle = document.documentElement.style;
+  rootStyle.setProperty('--hud-bg', theme.hud.background);
+  rootStyle.setProperty('--hud-accent', theme.hud.accent);
+  rootStyle.setProperty('--theme-glow', theme.collectibles.glowColor);
+
   // Detect puzzle mode from URL
-  const mode = urlParams.get('m') || 'txt';
+  const mode = linkConfig.mode || 'txt';
+
+  // Encrypted links may need the creator's password before anything can be decoded
+  const linkSecret = await askLinkPassword();
+  if (linkSecret === null) {
+    window.location.href = 'sender.html';
+    return;
+  }
 
   if (mode === 'img') {
     // --- Image puzzle mode ---
-    const imageUrl = urlParams.get('i') ? decodeURIComponent(urlParams.get('i')) : null;
+    const imageUrl = linkConfig.image || null;
     if (!imageUrl) {
       alert('No image found! Please use a valid link.');
       window.location.href = 'sender.html';
       return;
     }
 
+    // Pictures carried in the link itself are decoded locally – no network needed
+    const imageSource = isEmbeddedImage(imageUrl) ? getEmbeddedImageUrl(imageUrl) : imageUrl;
+    if (!imageSource) {
+      alert('The picture is missing from this link. Please make sure the whole link was copied.');
+      window.location.href = 'sender.html';
+      return;
+    }
+
     try {
       // Load image (with automatic fallback to cute dog on failure)
-      const result = await loadAndResize(imageUrl, 800, 600);
+      const result = await loadAndResize(imageSource, 800, 600);
       imagePuzzleCanvas = result.canvas;
       usedFallback = result.usedFallback;
       imageMode = true;
 
-      // Create image puzzle (splits into 8 pieces)
-      imagePuzzle = new ImagePuzzle(imagePuzzleCanvas);
+      // Create image puzzle (creator's piece count, laid out to suit the image shape)
+      imagePuzzle = new ImagePuzzle(imagePuzzleCanvas, parseInt(linkConfig.pieces, 10), createRng(deriveSeed(runSeed, 'jigsaw')));
 
       // Update instructions for image mode
       if (usedFallback) {
@@ -173,8 +394,10 @@ async function init() {
       // Hide the guess button — no phrase to guess in image mode
       guessBtn.style.display = 'none';
 
-      // Hide the phrase label in HUD, show only progress
+      // Show the thumbnail board in the HUD instead of the phrase label
       piecesDisplay.style.display = 'none';
+      miniMap = new MiniMap(miniMapCanvas, imagePuzzle);
+      miniMapCanvas.classList.remove('hidden');
     } catch (error) {
       console.error('Image puzzle init error:', error);
       alert('Failed to load puzzle image.');
@@ -190,16 +413,14 @@ async function init() {
     }
 
     try {
-      const phrase = decodeFromUrlSafe(encodedPhrase);
-      console.log('Decoded phrase:', phrase);
+      const phrase = await decodeLinkValue(encodedPhrase, linkSecret.password, linkSecret.linkKey);
 
       if (typeof gtag !== 'undefined' && window.location.hostname !== 'localhost' && window.location.hostname !== '127.0.0.1') {
-        gtag('event', 'puzzle_played', { 'phrase': phrase, 'theme': themeId });
+        gtag('event', 'puzzle_played', { 'theme': themeId });
       }
 
-      puzzle = new Puzzle(phrase);
-      console.log('Puzzle pieces:', puzzle.pieces);
-      console.log('Non-space pieces to collect:', puzzle.getNonSpaceCount());
+      puzzle = new Puzzle(phrase, splitModeId);
+      phraseDirection = getTextDirection(puzzle.originalPhrase);
     } catch (error) {
       console.error('Error decoding phrase:', error);
       alert('Invalid puzzle link! Please check the URL.');
@@ -208,18 +429,105 @@ async function init() {
     }
   }
 
+  if (encodedReplay && !replay) {
+    alert('Invalid replay link! Playing the puzzle instead.');
+  }
+
+  // Optional clue from the creator
+  if (typeof linkConfig.clue === 'string') {
+    clue = linkConfig.clue.trim() || null;
+  }
+  if (clue) {
+    clueText.dir = getTextDirection(clue);
+    clueText.classList.remove('hidden');
+    // A gradually revealed clue stays in the HUD so new words show up mid-flight
+    hudClue.dir = clueText.dir;
+    hudClue.classList.toggle('hidden', !revealClueGradually);
+    renderClue();
+  }
+
+  // Optional personal message (kept hidden until the puzzle is solved)
+  if (encodedMessage) {
+    try {
+      personalMessageText = (await decodeLinkValue(encodedMessage, linkSecret.password, linkSecret.linkKey)).trim() || null;
+      personalMessageFrom = encodedSenderName
+        ? (await decodeLinkValue(encodedSenderName, linkSecret.password, linkSecret.linkKey)).trim() || null
+        : null;
+    } catch (error) {
+      console.error('Error decoding personal message:', error);
+    }
+  }
+
+  if (campaign) {
+    stageText.textContent = `Stage ${campaign.stage + 1} of ${campaign.stageCount}`;
+    stageText.classList.remove('hidden');
+  }
+
+  if (daily) {
+    stageText.textContent = `Daily Birdle #${daily.number}`;
+    stageText.classList.remove('hidden');
+    instructionText.textContent = hasSolvedDaily(loadDailyStats(), daily)
+      ? 'You already solved today\'s Birdle – this run won\'t change your streak.'
+      : 'Same puzzle for everyone today. Collect the letters to reveal the phrase!';
+  }
+
+  if (replay) {
+    instructionText.textContent = 'Watching a recorded run';
+    startBtn.textContent = 'Watch Replay';
+    guessBtn.style.display = 'none';
+  }
+
   // Shared setup for both modes
   resizeCanvas();
   window.addEventListener('resize', resizeCanvas);
-  setupInput();
+  if (!replay) {
+    setupInput(); // Replays are driven by the recording, not the player
+  }
   updateHUD();
   drawInitialScreen();
 }
 
+// Ask for the creator's password if the link's phrase or message is protected.
+// Returns the password and/or the link's derived key (empty for unprotected
+// links), null if the player gives up.
+async function askLinkPassword() {
+  const secrets = [encodedPhrase, encodedMessage, encodedSenderName].filter(Boolean);
+  const protectedValues = secrets.filter(value => isPasswordProtected(value));
+  if (protectedValues.length === 0) return { password: '', linkKey: '' };
+
+  // Campaigns remember the derived key from an earlier stage (the password itself is never stored)
+  if (campaign?.linkKey) {
+    try {
+      await Promise.all(protectedValues.map(value => decodeLinkValue(value, '', campaign.linkKey)));
+      return { password: '', linkKey: campaign.linkKey };
+    } catch (error) {
+      // Fall through and ask again
+    }
+  }
+
+  let promptText = 'This Birdle is password protected. Enter the password:';
+  for (let attempt = 0; attempt < MAX_PASSWORD_ATTEMPTS; attempt++) {
+    const password = window.prompt(promptText);
+    if (password === null) return null;
+    try {
+      const linkKey = await exportLinkKey(protectedValues[0], password);
+      campaign?.setLinkKey(linkKey);
+      return { password, linkKey };
+    } catch (error) {
+      promptText = 'Wrong password. Try again:';
+    }
+  }
+  alert('Wrong password! Ask the person who sent you this link for the right one.');
+  return null;
+}
+
 // Set up keyboard and mouse input
 function setupInput() {
   // Keyboard input - Space to flap, G to guess, Escape to close modal
   window.addEventListener('keydown', (e) => {
+    // The assembly board takes pointer input only
+    if (assemblyBoard && !assemblyResult) return;
+
     // Handle guess modal
     if (gamePaused) {
       if (e.code === 'Escape') {
@@ -240,9 +548,9 @@ function setupInput() {
       } else if (gameOver) {
         resetGame();
       } else if (player) {
-        player.flap();
+        queueFlap();
       }
-    } else if (e.code === 'KeyG' && gameStarted && !gameOver && !imageMode) {
+    } else if (e.code === 'KeyG' && gameStarted && !gameOver && !imageMode && hasGuessesLeft()) {
       e.preventDefault();
       showGuessModal();
     }
@@ -261,7 +569,7 @@ function setupInput() {
     } else if (gameOver) {
       resetGame();
     } else if (player) {
-      player.flap();
+      queueFlap();
     }
   };
 
@@ -279,7 +587,7 @@ function setupInput() {
   // Guess button click
   guessBtn.addEventListener('click', (e) => {
     e.stopPropagation();
-    if (gameStarted && !gameOver && !gamePaused) {
+    if (gameStarted && !gameOver && !gamePaused && hasGuessesLeft()) {
       showGuessModal();
     }
   });
@@ -298,6 +606,12 @@ function setupInput() {
   });
 }
 
+// Queue a flap for the next fixed tick (keeps recordings frame-exact)
+function queueFlap() {
+  pendingFlap = true;
+  pendingFlapTime = performance.now() - sessionStartTime;
+}
+
 // Resize canvas to fill available space with high DPI support
 function resizeCanvas() {
   const dpr = window.devicePixelRatio || 1;
@@ -310,11 +624,19 @@ function resizeCanvas() {
   canvasWidth = window.innerWidth;
   canvasHeight = window.innerHeight - hudHeight;
 
-  canvas.width = canvasWidth * dpr;
-  canvas.height = canvasHeight * dpr;
-  canvas.style.width = canvasWidth + 'px';
-  canvas.style.height = canvasHeight + 'px';
-  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  // Replays simulate at the recorded size and scale the view to fit this window
+  let viewScale = 1;
+  if (replay) {
+    viewScale = Math.min(canvasWidth / replay.config.width, canvasHeight / replay.config.height);
+    canvasWidth = replay.config.width;
+    canvasHeight = replay.config.height;
+  }
+
+  canvas.width = canvasWidth * viewScale * dpr;
+  canvas.height = canvasHeight * viewScale * dpr;
+  canvas.style.width = canvasWidth * viewScale + 'px';
+  canvas.style.height = canvasHeight * viewScale + 'px';
+  ctx.setTransform(dpr * viewScale, 0, 0, dpr * viewScale, 0, 0);
 
   // Confetti canvas covers entire viewport
   confettiCanvas.width = window.innerWidth * dpr;
@@ -330,6 +652,10 @@ function resizeCanvas() {
   if (!gameStarted && (puzzle || imagePuzzle)) {
     drawInitialScreen();
   }
+
+  if (assemblyBoard && !assemblyResult) {
+    resizeAssemblyBoard();
+  }
 }
 
 // Draw initial screen before game starts
@@ -355,19 +681,31 @@ function drawInitialScreen() {
 
 // Update HUD display
 function updateHUD() {
+  updateDifficultyHUD();
+  updateLivesHUD();
+
   if (imageMode) {
     progressText.textContent = `${imagePuzzle.getCollectedCount()} / ${imagePuzzle.getTotalPieces()} pieces`;
+    miniMap.sync();
   } else {
     if (puzzle.isComplete()) {
       piecesDisplay.textContent = '';
     } else {
-      piecesDisplay.textContent = puzzle.getReconstructedPhrase();
+      // Isolate each word so partly hidden words keep their own direction
+      piecesDisplay.textContent = isolateWords(puzzle.getReconstructedPhrase(), puzzle.originalPhrase);
     }
-    progressText.textContent = `${puzzle.getCollectedNonSpaceCount()} / ${puzzle.getNonSpaceCount()} letters`;
-
-    const hasHebrew = /[\u0590-\u05FF]/.test(puzzle.originalPhrase);
-    piecesDisplay.style.direction = hasHebrew ? 'rtl' : 'ltr';
+    piecesDisplay.dir = phraseDirection;
+    progressText.textContent = `${puzzle.getCollectedNonSpaceCount()} / ${puzzle.getNonSpaceCount()} ${puzzle.getUnitLabel()}`;
   }
+
+  if (clue && revealClueGradually) renderClue();
+}
+
+// Show the clue as far as it's revealed
+function renderClue() {
+  const text = `💡 ${getClueDisplay()}`;
+  clueText.textContent = text;
+  hudClue.textContent = text;
 }
 
 // Start the game
@@ -397,7 +735,7 @@ function startGame() {
     showCountdown();
   } else {
     // Skip countdown on retry - initialize and start immediately
-    world = new World(canvasWidth, canvasHeight, theme, IS_MOBILE, MOBILE_STAR_COUNT, MOBILE_CLOUD_REDUCTION);
+    world = new World(canvasWidth, canvasHeight, theme, IS_MOBILE, MOBILE_STAR_COUNT, MOBILE_CLOUD_REDUCTION, createRng(deriveSeed(runSeed, 'world')));
     player = new Player(PLAYER_X, canvasHeight / 2, { gravity: PLAYER_GRAVITY, flapStrength: PLAYER_FLAP, emoji: playerEmoji, theme });
 
     // Quick pre-render
@@ -414,7 +752,7 @@ function showCountdown() {
   countdownNumber.textContent = '3';
 
   // Create game objects early (during countdown) to pre-cache gradients
-  world = new World(canvasWidth, canvasHeight, theme, IS_MOBILE, MOBILE_STAR_COUNT, MOBILE_CLOUD_REDUCTION);
+  world = new World(canvasWidth, canvasHeight, theme, IS_MOBILE, MOBILE_STAR_COUNT, MOBILE_CLOUD_REDUCTION, createRng(deriveSeed(runSeed, 'world')));
   player = new Player(PLAYER_X, canvasHeight / 2, { gravity: PLAYER_GRAVITY, flapStrength: PLAYER_FLAP, emoji: playerEmoji, theme });
 
   // ENHANCED: Create sample obstacles and collectibles to cache their gradients
@@ -474,6 +812,9 @@ function beginGame() {
     sessionStartTime = performance.now();
   }
 
+  // Restart the seeded course so every attempt (and every player) gets the same layout
+  courseRng = createRng(deriveSeed(runSeed, 'course'));
+
   // Initialize pieces to spawn
   if (imageMode) {
     piecesToSpawn = imagePuzzle.getAllIndices();
@@ -488,15 +829,29 @@ function beginGame() {
   score = 0;
   frameCount = 0;
   lastObstacleX = canvasWidth; // Start with first obstacle off screen
+  pendingFlap = false;
+  lives = MAX_LIVES;
+  updateRamp();
+  resetClock();
+
+  // Each start/retry is one attempt in the recording
+  if (replay) {
+    replay.nextAttempt();
+  } else {
+    if (!recorder) {
+      recorder = new InputRecorder(runSeed, getReplayConfig());
+    }
+    recorder.startAttempt();
+  }
 
   // Start game loop
   gameLoop();
 }
 
-// Utility function to shuffle array
+// Utility function to shuffle array (uses the seeded course RNG)
 function shuffleArray(array) {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(courseRng() * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
   }
 }
@@ -506,21 +861,43 @@ function showGuessModal() {
   gamePaused = true;
   cancelAnimationFrame(animationId);
 
-  // Show current progress as hint with styled slots
-  const phrase = puzzle.getReconstructedPhrase();
+  // Show current progress as hint with styled slots, laid out in the phrase's direction
+  guessHint.setAttribute('dir', phraseDirection);
+  guessInput.setAttribute('dir', phraseDirection);
+
+  // One slot per character; multi-character pieces are grouped so their slots stay together.
+  // Each word is a directional isolate so mixed-direction phrases keep every word's letter order.
+  const wordSpacer = '<span style="display:inline-block;width:0.5em;"></span>';
+  const words = [];
+  let currentWord = null;
+  puzzle.pieces.forEach((piece, index) => {
+    if (piece === ' ') {
+      currentWord = null;
+      words.push({ spacer: true });
+      return;
+    }
+    if (!currentWord) {
+      currentWord = { text: '', slots: '' };
+      words.push(currentWord);
+    }
+    currentWord.text += piece;
+    currentWord.slots += renderPieceSlots(piece, puzzle.collectedPieces[index], puzzle.getPieceOffset(index));
+  });
 
-  // Detect if phrase contains Hebrew characters for RTL support
-  const hasHebrew = /[\u0590-\u05FF]/.test(puzzle.originalPhrase);
-  guessHint.setAttribute('dir', hasHebrew ? 'rtl' : 'ltr');
-  guessInput.style.direction = hasHebrew ? 'rtl' : 'ltr';
+  guessHint.innerHTML = words.map(word => word.spacer
+    ? wordSpacer
+    : `<span class="word-run" dir="${getTextDirection(word.text)}">${word.slots}</span>`
+  ).join('');
 
-  guessHint.innerHTML = phrase.split('').map(char => {
-    if (char === ' ') {
-      return '<span style="display:inline-block;width:0.5em;"></span>';
-    }
-    const isCollected = char !== '_';
-    return `<span class="letter-slot" style="${isCollected ? 'border-bottom-color:#7EC8E3;color:#7EC8E3;' : ''}">${char}</span>`;
-  }).join('');
+  renderGuessHistory();
+  renderGuessBudget();
+
+  // Creator's clue (revealed word by word as pieces are collected, if enabled)
+  if (clue) {
+    guessClue.textContent = `💡 ${getClueDisplay()}`;
+    guessClue.dir = getTextDirection(clue);
+    guessClue.classList.remove('hidden');
+  }
 
   guessInput.value = '';
   guessError.classList.add('hidden');
@@ -530,6 +907,78 @@ function showGuessModal() {
   setTimeout(() => guessInput.focus(), 100);
 }
 
+// Letter slots for one piece (hidden pieces show one blank per character,
+// except characters a guess already placed correctly)
+function renderPieceSlots(piece, isCollected, offset) {
+  const chars = splitGraphemes(piece);
+  const slots = chars.map((char, i) => {
+    if (isCollected) {
+      return `<span class="letter-slot" style="border-bottom-color:#7EC8E3;color:#7EC8E3;">${char}</span>`;
+    }
+    if (puzzle.isCharRevealed(offset + i)) {
+      return `<span class="letter-slot revealed">${char}</span>`;
+    }
+    return '<span class="letter-slot">_</span>';
+  }).join('');
+  return chars.length > 1 ? `<span class="piece-group">${slots}</span>` : slots;
+}
+
+// The clue as currently visible: all of it, or (gradual reveal) one more word
+// for each share of the puzzle collected, with hidden words masked
+function getClueDisplay() {
+  if (!revealClueGradually) return clue;
+
+  const progress = imageMode
+    ? imagePuzzle.getCollectedCount() / imagePuzzle.getTotalPieces()
+    : puzzle.getCollectedNonSpaceCount() / puzzle.getNonSpaceCount();
+  const words = clue.split(' ');
+  const revealedCount = Math.ceil(words.length * progress);
+
+  return words
+    .map((word, i) => i < revealedCount ? word : '•'.repeat(splitGraphemes(word).length))
+    .join(' ');
+}
+
+// Wrong guesses made this session (replays use the recorded count)
+function getWrongGuessCount() {
+  return replay ? replay.wrongGuesses : guessHistory.length;
+}
+
+// Check whether the guess budget allows another guess
+function hasGuessesLeft() {
+  return MAX_GUESSES === 0 || guessHistory.length < MAX_GUESSES;
+}
+
+// Show the remaining guess budget and the cost of a wrong guess
+function renderGuessBudget() {
+  const penaltyText = `wrong guesses cost +${WRONG_GUESS_PENALTY_MS / 1000}s`;
+  if (MAX_GUESSES === 0) {
+    guessBudget.textContent = `Guesses: ${guessHistory.length} · ${penaltyText}`;
+  } else {
+    const left = MAX_GUESSES - guessHistory.length;
+    guessBudget.textContent = left > 0
+      ? `${left} of ${MAX_GUESSES} guesses left · ${penaltyText}`
+      : 'No guesses left – collect the rest to finish!';
+  }
+
+  const outOfGuesses = !hasGuessesLeft();
+  guessBudget.classList.toggle('empty', outOfGuesses);
+  guessInput.disabled = outOfGuesses;
+  submitGuessBtn.disabled = outOfGuesses;
+  guessBtn.disabled = outOfGuesses;
+}
+
+// Show past guesses as rows of green / yellow / grey tiles
+function renderGuessHistory() {
+  guessHistoryList.innerHTML = guessHistory.map(feedback => {
+    const tiles = feedback.map(({ char, state }) => char === ' '
+      ? '<span class="guess-tile space"></span>'
+      : `<span class="guess-tile ${state}">${char}</span>`
+    ).join('');
+    return `<div class="guess-row" dir="${phraseDirection}">${tiles}</div>`;
+  }).join('');
+}
+
 // Hide guess modal
 function hideGuessModal() {
   gamePaused = false;
@@ -537,8 +986,9 @@ function hideGuessModal() {
   guessInput.value = '';
   guessError.classList.add('hidden');
   
-  // Resume game loop
+  // Resume game loop (paused time is not simulated)
   if (gameStarted && !gameOver) {
+    resetClock();
     gameLoop();
   }
 }
@@ -547,29 +997,47 @@ function hideGuessModal() {
 function submitGuess() {
   const guess = guessInput.value.trim();
   
-  if (!guess) return;
+  if (!guess || !hasGuessesLeft()) return;
   
-  // Compare guess to original phrase (case-insensitive)
-  if (guess.toLowerCase() === puzzle.originalPhrase.toLowerCase()) {
-    // Correct! Mark all pieces as collected and show victory
-    puzzle.pieces.forEach((_, index) => {
-      puzzle.collectedPieces[index] = true;
-    });
-    updateHUD();
-    
+  // Compare guess to original phrase (strict or lenient, chosen by the creator)
+  const result = matchGuess(guess, puzzle.originalPhrase, matchMode, matchOptions);
+  if (result === 'match') {
     gamePaused = false;
     guessModal.classList.add('hidden');
-    gameStarted = false;
-    
-    setTimeout(showVictory, 300);
+    completeByGuess();
   } else {
-    // Incorrect - show error and let them continue
+    // Incorrect - costs time, score it per character, reveal greens and let them continue
+    penaltyTime += WRONG_GUESS_PENALTY_MS;
+    const feedback = scoreGuess(guess, puzzle.originalPhrase);
+    guessHistory.push(feedback);
+    puzzle.revealCharacters(getCorrectPositions(feedback));
+    updateHUD();
+    showGuessModal();
+    guessError.textContent = result === 'close'
+      ? 'So close! Check your spelling.'
+      : 'Incorrect! Keep collecting letters.';
     guessError.classList.remove('hidden');
-    guessInput.select();
   }
 }
 
-// Main game loop
+// Solve the puzzle via a correct guess (also replayed from recordings)
+function completeByGuess() {
+  // Early guesses score more – remember how much was still hidden
+  solvedByGuess = true;
+  hiddenFractionAtSolve = 1 - puzzle.getCollectedNonSpaceCount() / puzzle.getNonSpaceCount();
+
+  // Mark all pieces as collected and show victory
+  puzzle.pieces.forEach((_, index) => {
+    puzzle.collectedPieces[index] = true;
+  });
+  updateHUD();
+
+  gameStarted = false;
+  recorder?.endAttempt(frameCount, 'guess');
+
+  setTimeout(showVictory, 300);
+}
+
 // Format time as M:SS or M:SS.s
 function formatTime(ms, includeDecimal = false) {
   const totalSeconds = ms / 1000;
@@ -583,33 +1051,48 @@ function formatTime(ms, includeDecimal = false) {
   return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 }
 
+// Session time including crash penalties
+function getSessionTime() {
+  return performance.now() - sessionStartTime + penaltyTime;
+}
+
 // Update timer display
 function updateTimer() {
   if (sessionStartTime !== null && timerDisplay) {
-    const elapsed = performance.now() - sessionStartTime;
-    timerDisplay.textContent = formatTime(elapsed);
+    timerDisplay.textContent = formatTime(getSessionTime());
   }
 }
 
-function gameLoop() {
+// Main game loop
+// Simulation advances in fixed ticks; rendering happens once per animation frame
+function gameLoop(now = performance.now()) {
   if (!gameStarted || gameOver || gamePaused) return;
 
   // Update timer
   updateTimer();
 
-  // Update
-  update();
+  // Update (as many fixed ticks as real time has elapsed)
+  const ticks = advanceClock(now);
+  for (let i = 0; i < ticks && gameStarted && !gameOver; i++) {
+    update();
+  }
 
-  // Draw
-  draw();
+  // Draw (interpolated between the last two ticks)
+  draw(tickAccumulator / TICK_MS);
 
   // Continue loop
   animationId = requestAnimationFrame(gameLoop);
 }
 
-// Update game state
+// Update game state (one fixed tick)
 function update() {
   frameCount++;
+
+  // Apply input for this tick
+  applyInput();
+
+  // Scale speed and gap size with progress
+  updateRamp();
   
   // Update world (clouds)
   world.update();
@@ -628,16 +1111,80 @@ function update() {
   
   // Check collisions
   checkCollisions();
+
+  // Update sparkle particles
+  particleSystem.update();
   
   // Check for victory
   const puzzleComplete = imageMode ? imagePuzzle.isComplete() : puzzle.isComplete();
   if (puzzleComplete && gameStarted && !gameOver) {
     gameStarted = false;
     cancelAnimationFrame(animationId);
-    setTimeout(showVictory, 500);
+    recorder?.endAttempt(frameCount, 'solved');
+    // Replays only cover the flight, so they skip the assembly
+    setTimeout(imageMode && assembleImage && !replay ? startAssembly : showVictory, 500);
+  }
+
+  // Replay a correct guess on the tick it was made
+  if (replay?.guessesAt(frameCount) && gameStarted && !gameOver) {
+    cancelAnimationFrame(animationId);
+    completeByGuess();
+  }
+}
+
+// Apply the queued flap (live) or the recorded flap (replay) for this tick
+function applyInput() {
+  if (replay) {
+    if (replay.flapsAt(frameCount)) {
+      player.flap();
+    }
+    return;
+  }
+
+  if (pendingFlap) {
+    pendingFlap = false;
+    player.flap();
+    recorder?.recordFlap(frameCount, pendingFlapTime);
   }
 }
 
+// Recompute the ramped speed and gap size from collected pieces or score
+function updateRamp() {
+  let level = 0;
+  if (rampMode?.id === 'pieces') {
+    level = imageMode
+      ? imagePuzzle.getCollectedCount() / imagePuzzle.getTotalPieces()
+      : puzzle.getCollectedNonSpaceCount() / puzzle.getNonSpaceCount();
+  } else if (rampMode?.id === 'score') {
+    level = score / RAMP_FULL_SCORE;
+  }
+  level = Math.min(1, level || 0);
+
+  const ramped = applyRamp(level, SCROLL_SPEED, GAP_SIZE);
+  currentScrollSpeed = ramped.scrollSpeed;
+  currentGapSize = ramped.gapSize;
+
+  if (level !== rampLevel) {
+    rampLevel = level;
+    updateDifficultyHUD();
+  }
+}
+
+// Show remaining hearts in the HUD (hidden for one-life games)
+function updateLivesHUD() {
+  livesContainer.classList.toggle('hidden', MAX_LIVES <= 1);
+  livesDisplay.textContent = '❤️'.repeat(lives) + '🖤'.repeat(MAX_LIVES - lives);
+}
+
+// Show the creator's difficulty (and ramp boost, if any) in the HUD
+function updateDifficultyHUD() {
+  let label = `${difficulty.emoji} ${difficulty.name}`;
+  if (rampMode) {
+    label += ` ⚡${Math.round(currentScrollSpeed / SCROLL_SPEED * 100)}%`;
+  }
+  difficultyDisplay.textContent = label;
+}
+
 // Spawn obstacles (Flappy Bird pipes)
 function spawnObstacles() {
   // Only spawn if there are no obstacles OR the last obstacle is far enough away
@@ -658,11 +1205,11 @@ function spawnObstacles() {
 // Spawn a single obstacle
 function spawnSingleObstacle() {
   const maxGapY = canvasHeight - MIN_GAP_Y - 50;
-  const gapY = MIN_GAP_Y + Math.random() * (maxGapY - MIN_GAP_Y);
+  const gapY = MIN_GAP_Y + courseRng() * (maxGapY - MIN_GAP_Y);
 
-  const obstacle = new Obstacle(canvasWidth + 50, canvasHeight, gapY, GAP_SIZE, theme);
-  // apply global scroll speed
-  obstacle.scrollSpeed = SCROLL_SPEED;
+  const obstacle = new Obstacle(canvasWidth + 50, canvasHeight, gapY, currentGapSize, theme, courseRng);
+  // apply current (possibly ramped) scroll speed
+  obstacle.scrollSpeed = currentScrollSpeed;
   obstacles.push(obstacle);
   
   // Spawn a collectible in this obstacle's gap if there are pieces left
@@ -674,6 +1221,7 @@ function spawnSingleObstacle() {
 // Update obstacles
 function updateObstacles() {
   obstacles.forEach(obstacle => {
+    obstacle.scrollSpeed = currentScrollSpeed; // keep spacing as the ramp speeds up
     obstacle.update();
     
     // Check if player passed this obstacle (for score)
@@ -704,31 +1252,29 @@ function spawnCollectibleInGap(obstacle) {
 
   const padding = 12;
   const availableHeight = Math.max(0, gap.height - padding * 2);
-  let spawnY = gap.y + padding + Math.random() * availableHeight;
+  let spawnY = gap.y + padding + courseRng() * availableHeight;
   spawnY = Math.max(10, Math.min(canvasHeight - 50, spawnY));
 
   let collectible;
   if (imageMode) {
     const pieceData = imagePuzzle.getPiece(nextIndex);
     if (!pieceData) return;
-    collectible = new JigsawCollectible(spawnX, spawnY, nextIndex, imagePuzzleCanvas, pieceData, theme);
+    collectible = new JigsawCollectible(spawnX, spawnY, nextIndex, imagePuzzleCanvas, pieceData, theme, courseRng);
   } else {
     const piece = puzzle.getPiece(nextIndex);
     if (piece == null) return;
     collectible = new Collectible(spawnX, spawnY, nextIndex, piece, theme);
-    if (isMobileDevice()) {
-      collectible.width = 48;
-      collectible.height = 48;
-    }
+    collectible.setSize(COLLECTIBLE_SIZE);
   }
 
-  collectible.scrollSpeed = SCROLL_SPEED;
+  collectible.scrollSpeed = currentScrollSpeed;
   collectibles.push(collectible);
 }
 
 // Update all collectibles
 function updateCollectibles() {
   collectibles.forEach(collectible => {
+    collectible.scrollSpeed = currentScrollSpeed;
     collectible.update();
   });
   
@@ -753,17 +1299,19 @@ function updateCollectibles() {
 function checkCollisions() {
   const playerBounds = player.getBounds();
 
-  // Check collision with obstacles
-  for (const obstacle of obstacles) {
-    if (obstacle.collidesWith(playerBounds)) {
-      triggerGameOver();
-      return;
+  // Check collision with obstacles (harmless while blinking after a lost heart)
+  if (!player.isInvulnerable()) {
+    for (const obstacle of obstacles) {
+      if (obstacle.collidesWith(playerBounds)) {
+        handlePlayerHit();
+        return;
+      }
     }
   }
 
-  // Check if player went out of bounds
-  if (player.isOutOfBounds(canvasHeight)) {
-    triggerGameOver();
+  // Check if player went out of bounds (also harmless while blinking)
+  if (!player.isInvulnerable() && player.isOutOfBounds(canvasHeight)) {
+    handlePlayerHit();
     return;
   }
 
@@ -785,6 +1333,7 @@ function checkCollisions() {
         });
       }
       updateHUD();
+      saveCheckpoint();
 
       // Create sparkle effect at collectible position
       particleSystem.createCollectSparkles(
@@ -809,12 +1358,42 @@ function checkCollisions() {
   });
 }
 
+// Take a heart; game over only when none are left
+function handlePlayerHit() {
+  lives--;
+  hitsTaken++;
+  if (lives > 0) {
+    loseLife();
+  } else {
+    triggerGameOver();
+  }
+}
+
+// Lose a heart and keep flying (blinks while invulnerable)
+function loseLife() {
+  updateLivesHUD();
+  player.hit(INVULNERABLE_TICKS);
+
+  // Back inside the playfield, so touching an edge costs one heart, not all of them
+  player.y = Math.max(0, Math.min(canvasHeight - player.height, player.y));
+  player.prevY = player.y;
+  player.velocityY = 0;
+
+  const playerCenterX = player.x + player.width / 2;
+  const playerCenterY = player.y + player.height / 2;
+  particleSystem.createDeathExplosion(playerCenterX, playerCenterY, ['#FF6B6B', '#FFFFFF', '#FFD93D']);
+
+  playCrashSound();
+}
+
 // Trigger game over
 function triggerGameOver() {
   // Increment fail counter each time the player fails
   failCount++;
   gameOver = true;
   gameStarted = false;
+  recorder?.endAttempt(frameCount, 'crash');
+  penaltyTime += crashMode.penaltyMs;
 
   // Create death particle effects
   const playerCenterX = player.x + player.width / 2;
@@ -834,6 +1413,7 @@ function triggerGameOver() {
   playCrashSound();
 
   // Start death animation loop (to show particles before game over screen)
+  resetClock();
   deathAnimationLoop();
 }
 
@@ -854,22 +1434,35 @@ function showGameOverScreen() {
   ctx.textAlign = 'center';
   ctx.textBaseline = 'middle';
 
+  // Image mode: the board as it stood, above the title
+  if (imageMode) {
+    const boardBottom = canvasHeight / 2 - 110;
+    const boardTop = Math.max(20, boardBottom - 160);
+    if (boardBottom - boardTop >= 40) {
+      miniMap.drawInto(ctx, canvasWidth / 2 - 120, boardTop, 240, boardBottom - boardTop);
+    }
+  }
+
   // Game over text
   ctx.fillStyle = '#FF6B6B';
   ctx.font = "bold 52px 'Secular One', sans-serif";
-  ctx.fillText('Game Over!', canvasWidth / 2, canvasHeight / 2 - 60);
+  ctx.fillText(MAX_LIVES > 1 ? 'Out of Hearts!' : 'Game Over!', canvasWidth / 2, canvasHeight / 2 - 60);
 
   // Instructions
   ctx.fillStyle = '#FFF';
   ctx.font = "24px 'Secular One', sans-serif";
-  ctx.fillText('Click or press SPACE to retry', canvasWidth / 2, canvasHeight / 2 + 10);
+  let retryLabel = 'Click or press SPACE to retry';
+  if (replay) {
+    retryLabel = replay.hasNextAttempt() ? 'Replay: next attempt…' : 'Replay ended';
+  }
+  ctx.fillText(retryLabel, canvasWidth / 2, canvasHeight / 2 + 10);
 
   // Progress
   ctx.font = "20px 'Secular One', sans-serif";
   ctx.fillStyle = '#7EC8E3';
   const progressLabel = imageMode
     ? `Collected: ${imagePuzzle.getCollectedCount()} / ${imagePuzzle.getTotalPieces()} pieces`
-    : `Collected: ${puzzle.getCollectedNonSpaceCount()} / ${puzzle.getNonSpaceCount()} letters`;
+    : `Collected: ${puzzle.getCollectedNonSpaceCount()} / ${puzzle.getNonSpaceCount()} ${puzzle.getUnitLabel()}`;
   ctx.fillText(progressLabel, canvasWidth / 2, canvasHeight / 2 + 60);
 
   // Show fail counter on game over if greater than zero
@@ -878,6 +1471,14 @@ function showGameOverScreen() {
     ctx.fillStyle = '#FFD93D';
     ctx.fillText(`Fails: ${failCount}`, canvasWidth / 2, canvasHeight / 2 + 100);
   }
+
+  // Forgiving crash modes: say what was kept and what it cost
+  if (crashMode.keep !== 'none') {
+    const keptLabel = crashMode.keep === 'all' ? 'Progress kept' : 'Back to last checkpoint';
+    ctx.font = "18px 'Secular One', sans-serif";
+    ctx.fillStyle = '#7EC8E3';
+    ctx.fillText(`${crashMode.emoji} ${keptLabel} (+${crashMode.penaltyMs / 1000}s)`, canvasWidth / 2, canvasHeight / 2 + 135);
+  }
 }
 
 // Reset game (on retry after game over)
@@ -892,12 +1493,8 @@ function resetGame() {
   // Clear particle system
   particleSystem.clear();
 
-  // Reset puzzle collected state
-  if (imageMode) {
-    imagePuzzle.resetCollected();
-  } else {
-    puzzle.resetCollected(); // keeps spaces collected
-  }
+  // Reset puzzle collected state (depending on the crash mode)
+  restoreProgressAfterCrash();
 
   // Restart the game
   startGame();
@@ -906,6 +1503,35 @@ function resetGame() {
   updateHUD();
 }
 
+// Save a checkpoint each time another slice of the puzzle is collected
+function saveCheckpoint() {
+  if (crashMode.keep !== 'checkpoint') return;
+
+  const activePuzzle = imageMode ? imagePuzzle : puzzle;
+  const collected = imageMode ? imagePuzzle.getCollectedCount() : puzzle.getCollectedNonSpaceCount();
+  const total = imageMode ? imagePuzzle.getTotalPieces() : puzzle.getNonSpaceCount();
+  const step = Math.max(1, Math.round(total * crashMode.checkpointEvery));
+
+  if (collected >= checkpointCount + step) {
+    checkpointCount = collected - (collected % step);
+    checkpointState = activePuzzle.getCollectedState();
+  }
+}
+
+// Wipe progress, roll back to the last checkpoint, or keep everything
+function restoreProgressAfterCrash() {
+  const activePuzzle = imageMode ? imagePuzzle : puzzle;
+
+  if (crashMode.keep === 'all') return;
+
+  if (crashMode.keep === 'checkpoint' && checkpointState) {
+    activePuzzle.restoreCollected(checkpointState);
+    return;
+  }
+
+  activePuzzle.resetCollected(); // text puzzles keep spaces collected
+}
+
 // Simple collect sound effect
 function playCollectSound() {
   try {
@@ -950,10 +1576,17 @@ function deathAnimationLoop() {
     deathAnimationStart = performance.now();
   }
 
-  const elapsed = performance.now() - deathAnimationStart;
+  const now = performance.now();
+  const elapsed = now - deathAnimationStart;
+
+  // Particles advance on the same fixed tick as gameplay
+  const ticks = advanceClock(now);
+  for (let i = 0; i < ticks; i++) {
+    particleSystem.update();
+  }
 
-  // Update and draw particles with screen shake
-  drawDeathFrame();
+  // Draw particles with screen shake
+  drawDeathFrame(tickAccumulator / TICK_MS);
 
   // Continue until animation duration is complete and particles settle
   if (elapsed < DEATH_ANIMATION_DURATION || particleSystem.isActive()) {
@@ -962,11 +1595,19 @@ function deathAnimationLoop() {
     // Animation complete, show game over screen
     deathAnimationStart = 0;
     showGameOverScreen();
+
+    // Replays retry on their own when the recording has another attempt
+    if (replay?.hasNextAttempt()) {
+      setTimeout(() => {
+        if (gameOver) resetGame();
+      }, 1000);
+    }
   }
 }
 
 // Draw a single frame during death animation
-function drawDeathFrame() {
+// @param {number} alpha - Interpolation between the last two particle ticks
+function drawDeathFrame(alpha) {
   // Get screen shake offset
   const shake = particleSystem.getShakeOffset();
 
@@ -989,9 +1630,8 @@ function drawDeathFrame() {
   // Draw collectibles
   collectibles.forEach(collectible => collectible.draw(ctx));
 
-  // Update and draw death particles
-  particleSystem.update();
-  particleSystem.particles.forEach(p => p.draw(ctx));
+  // Draw death particles
+  particleSystem.particles.forEach(p => p.draw(ctx, alpha));
 
   ctx.restore();
 }
@@ -1093,25 +1733,28 @@ function drawLastLetterEffect() {
 }
 
 // Draw everything
-function draw() {
+// @param {number} [alpha=1] - Interpolation between the previous and current tick (0-1)
+function draw(alpha = 1) {
   // Clear canvas
   ctx.clearRect(0, 0, canvasWidth, canvasHeight);
 
   // Draw world (background)
-  world.draw(ctx);
+  world.draw(ctx, alpha);
 
   // Draw obstacles
-  obstacles.forEach(obstacle => obstacle.draw(ctx));
+  obstacles.forEach(obstacle => obstacle.draw(ctx, alpha));
 
   // Draw collectibles
-  collectibles.forEach(collectible => collectible.draw(ctx));
+  collectibles.forEach(collectible => collectible.draw(ctx, alpha));
 
   // Draw player
-  player.draw(ctx);
+  player.draw(ctx, alpha);
 
-  // Update and draw sparkle particles
-  particleSystem.update();
-  particleSystem.sparkleParticles.forEach(p => p.draw(ctx));
+  // Draw heart-loss burst particles
+  particleSystem.particles.forEach(p => p.draw(ctx, alpha));
+
+  // Draw sparkle particles
+  particleSystem.sparkleParticles.forEach(p => p.draw(ctx, alpha));
 
   // Draw last letter celebration effect
   drawLastLetterEffect();
@@ -1192,8 +1835,14 @@ function startConfetti() {
 
 // Show victory screen
 function showVictory() {
-  // Calculate completion time
-  completionTime = performance.now() - sessionStartTime;
+  // Calculate completion time (replays show the recorded time)
+  completionTime = replay ? replay.time : collectionTime ?? getSessionTime();
+  finalScore = calculateScore({
+    hiddenFraction: solvedByGuess ? hiddenFractionAtSolve : 0,
+    wrongGuesses: getWrongGuessCount(),
+    failCount,
+    timeMs: completionTime
+  }).total;
 
   victoryScreen.classList.remove('hidden');
 
@@ -1210,10 +1859,21 @@ function showVictory() {
     victoryImageCanvas.width = Math.round(imagePuzzleCanvas.width * scale);
     victoryImageCanvas.height = Math.round(imagePuzzleCanvas.height * scale);
 
-    const vCtx = victoryImageCanvas.getContext('2d');
-    vCtx.drawImage(imagePuzzleCanvas, 0, 0, victoryImageCanvas.width, victoryImageCanvas.height);
+    startPieceSnapAnimation(scale);
   } else {
     solvedPhrase.textContent = puzzle.originalPhrase;
+    solvedPhrase.dir = phraseDirection;
+  }
+
+  // Campaigns save each stage's result for the final summary
+  const isFinalStage = !campaign || !!replay || campaign.isLastStage();
+  if (campaign && !replay) {
+    campaign.completeStage({ time: completionTime, fails: failCount, score: finalScore });
+  }
+
+  // Reveal the creator's personal message (only ever shown once everything is solved)
+  if (isFinalStage) {
+    showPersonalMessage();
   }
 
   // Show completion stats (time and fails on separate lines)
@@ -1225,17 +1885,239 @@ function showVictory() {
     completionStats.innerHTML = `
       <div class="stat-row"><span class="stat-label">Time:</span> <span class="time">${timeStr}</span></div>
       <div class="stat-row"><span class="stat-label">Attempts:</span> ${failsHtml}</div>
+      <div class="stat-row"><span class="stat-label">Difficulty:</span> <span class="difficulty-name">${difficulty.emoji} ${difficulty.name}</span></div>
     `;
+
+    // Lives: hearts left on the winning attempt and hearts lost along the way
+    if (MAX_LIVES > 1) {
+      const heartsStr = '❤️'.repeat(lives) + '🖤'.repeat(MAX_LIVES - lives);
+      completionStats.innerHTML += `<div class="stat-row"><span class="stat-label">Hearts:</span> ${heartsStr} <span class="${hitsTaken === 0 ? 'flawless' : 'fails'}">(${hitsTaken} lost)</span></div>`;
+    }
+
+    // Forgiving crash modes trade progress for time – show the mode and what it cost
+    if (crashMode.keep !== 'none') {
+      const crashPenalty = failCount * crashMode.penaltyMs;
+      const penaltyStr = crashPenalty > 0 ? ` <span class="fails">+${formatTime(crashPenalty)}</span>` : '';
+      completionStats.innerHTML += `<div class="stat-row"><span class="stat-label">Crashes:</span> <span class="difficulty-name">${crashMode.emoji} ${crashMode.name}</span>${penaltyStr}</div>`;
+    }
+
+    // Assembly phase: how long putting the picture together took
+    if (assemblyResult) {
+      const movesStr = assemblyResult.solved
+        ? 'auto-solved'
+        : `${assemblyResult.moves} move${assemblyResult.moves !== 1 ? 's' : ''}`;
+      completionStats.innerHTML += `<div class="stat-row"><span class="stat-label">Assembly:</span> <span class="time">${formatTime(assemblyResult.timeMs, true)}</span> <span class="stat-label">(${movesStr})</span></div>`;
+    }
+
+    // Guesses used (out of the budget) and the final score
+    const guessCount = getWrongGuessCount() + (solvedByGuess ? 1 : 0);
+    const budgetStr = MAX_GUESSES > 0 ? ` / ${MAX_GUESSES}` : '';
+    completionStats.innerHTML += `
+      <div class="stat-row"><span class="stat-label">Guesses:</span> ${guessCount}${budgetStr}${solvedByGuess ? ' <span class="flawless">Solved early!</span>' : ''}</div>
+      <div class="stat-row"><span class="stat-label">Score:</span> <span class="score">${finalScore}</span></div>
+    `;
+
+    // Replays re-simulate the recording; flag outcomes and times the inputs can't reproduce
+    if (replay) {
+      const verified = replay.verify(frameCount, failCount, {
+        tickMs: TICK_MS,
+        penaltyMs: penaltyTime + replay.wrongGuesses * WRONG_GUESS_PENALTY_MS
+      });
+      completionStats.innerHTML += verified
+        ? '<div class="stat-row"><span class="stat-label">Replay:</span> <span class="flawless">Verified</span></div>'
+        : '<div class="stat-row"><span class="stat-label">Replay:</span> <span class="fails">Out of sync</span></div>';
+    }
+
+    // Last stage of a campaign: every stage's time and the totals
+    if (campaign && isFinalStage) {
+      completionStats.innerHTML += '<div class="stat-row stage-summary-title">All stages</div>';
+      campaign.results.forEach((result, i) => {
+        completionStats.innerHTML += `<div class="stat-row"><span class="stat-label">Stage ${i + 1}:</span> <span class="time">${formatTime(result.time, true)}</span></div>`;
+      });
+      completionStats.innerHTML += `
+        <div class="stat-row"><span class="stat-label">Total:</span> <span class="time">${formatTime(campaign.getTotal('time'), true)}</span></div>
+        <div class="stat-row"><span class="stat-label">Total score:</span> <span class="score">${campaign.getTotal('score')}</span></div>
+      `;
+    }
+  }
+
+  // Daily Birdle: keep the streak going and count down to tomorrow's puzzle
+  if (daily && !replay) {
+    const stats = recordDailyResult(daily, { time: completionTime, fails: failCount, score: finalScore });
+    const streak = getCurrentStreak(stats);
+    completionStats.innerHTML += `<div class="stat-row"><span class="stat-label">Streak:</span> 🔥 ${streak} day${streak !== 1 ? 's' : ''} <span class="stat-label">(best ${stats.maxStreak})</span></div>`;
+    startDailyCountdown();
+  }
+
+  // Between campaign stages, the only way on is the next stage
+  if (!isFinalStage) {
+    playAgainBtn.textContent = `Next Stage (${campaign.stage + 2} of ${campaign.stageCount}) →`;
   }
 
+  // Sharing and exporting only make sense for a live run (and a whole campaign)
+  shareButtons.classList.toggle('hidden', !!replay || !isFinalStage);
+  exportReplayBtn.classList.toggle('hidden', !!replay || !recorder || !!campaign || !!daily);
+
   // Start confetti celebration
   startConfetti();
 }
 
+// Tick the victory screen's countdown to the next Daily Birdle
+function startDailyCountdown() {
+  clearInterval(dailyCountdownId);
+  const update = () => {
+    // Past midnight: stop ticking and point at the new puzzle
+    if (getDailyPuzzle().dateKey !== daily.dateKey) {
+      clearInterval(dailyCountdownId);
+      dailyCountdownId = null;
+      dailyCountdown.textContent = 'A new Birdle is ready!';
+      return;
+    }
+    const remaining = getTimeUntilNextDaily();
+    const hours = Math.floor(remaining / 3600000);
+    const minutes = Math.floor(remaining / 60000) % 60;
+    const seconds = Math.floor(remaining / 1000) % 60;
+    const timeStr = [hours, minutes, seconds].map(n => String(n).padStart(2, '0')).join(':');
+    dailyCountdown.innerHTML = `Next Birdle in <span class="time">${timeStr}</span>`;
+  };
+  dailyCountdownId = setInterval(update, 1000);
+  update();
+  dailyCountdown.classList.remove('hidden');
+}
+
+// Victory screen (image mode): the pieces fly in from all over and snap into place
+function startPieceSnapAnimation(scale) {
+  const vCtx = victoryImageCanvas.getContext('2d');
+  const { width, height } = victoryImageCanvas;
+  const tab = imagePuzzle.tabSize * scale;
+  const duration = 700; // Per piece
+  const stagger = Math.min(80, 1200 / imagePuzzle.getTotalPieces()); // Whole snap lasts ~2s at most
+  const fxRng = createRng(deriveSeed(runSeed, 'victory'));
+
+  const pieces = imagePuzzle.pieces.map((piece, i) => ({
+    piece,
+    delay: i * stagger,
+    fromX: (fxRng() - 0.5) * width,
+    fromY: (fxRng() - 0.5) * height,
+    fromAngle: (fxRng() - 0.5) * 0.8
+  }));
+
+  // Ease out with a small overshoot, so pieces "snap" into place
+  const easeOutBack = t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2);
+
+  const drawPiece = ({ piece }, offsetX, offsetY, angle) => {
+    const x = piece.sx * scale, y = piece.sy * scale;
+    const w = piece.sw * scale, h = piece.sh * scale;
+    vCtx.save();
+    vCtx.translate(x + w / 2 + offsetX, y + h / 2 + offsetY);
+    vCtx.rotate(angle);
+    vCtx.translate(-x - w / 2, -y - h / 2);
+    traceJigsawPath(vCtx, x, y, w, h, piece.edges, tab);
+    vCtx.save();
+    vCtx.clip();
+    vCtx.drawImage(imagePuzzleCanvas, 0, 0, width, height);
+    vCtx.restore();
+    vCtx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    vCtx.lineWidth = 1;
+    vCtx.stroke();
+    vCtx.restore();
+  };
+
+  const start = performance.now();
+  const frame = (now) => {
+    const elapsed = now - start;
+    vCtx.clearRect(0, 0, width, height);
+
+    let done = true;
+    pieces.forEach(entry => {
+      const t = Math.max(0, Math.min(1, (elapsed - entry.delay) / duration));
+      if (t < 1) done = false;
+      if (t === 0) return;
+      const k = 1 - easeOutBack(t);
+      drawPiece(entry, entry.fromX * k, entry.fromY * k, entry.fromAngle * k);
+    });
+
+    if (done) {
+      // Settled: the whole picture, seams drawn faintly on top
+      vCtx.clearRect(0, 0, width, height);
+      vCtx.drawImage(imagePuzzleCanvas, 0, 0, width, height);
+      vCtx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+      vCtx.lineWidth = 1;
+      imagePuzzle.pieces.forEach(piece => {
+        traceJigsawPath(vCtx, piece.sx * scale, piece.sy * scale, piece.sw * scale, piece.sh * scale, piece.edges, tab);
+        vCtx.stroke();
+      });
+      return;
+    }
+    requestAnimationFrame(frame);
+  };
+  requestAnimationFrame(frame);
+}
+
+// Scatter the collected pieces on the assembly board; the victory screen follows once they're all in place
+function startAssembly() {
+  collectionTime = getSessionTime();
+  assemblyScreen.classList.remove('hidden');
+
+  assemblyBoard = new AssemblyBoard(assemblyCanvas, imagePuzzle, {
+    rng: createRng(deriveSeed(runSeed, 'assembly')),
+    onMove: moves => {
+      assemblyMoves.textContent = `${moves} move${moves !== 1 ? 's' : ''}`;
+    },
+    onSnap: playCollectSound,
+    onComplete: result => {
+      assemblyResult = result;
+      clearInterval(assemblyTimerId);
+      assemblyTimer.textContent = formatTime(result.timeMs);
+      playVictoryChime();
+      setTimeout(() => {
+        assemblyBoard.destroy();
+        assemblyScreen.classList.add('hidden');
+        showVictory();
+      }, 600);
+    }
+  });
+  resizeAssemblyBoard();
+
+  assemblyTimerId = setInterval(() => {
+    assemblyTimer.textContent = formatTime(assemblyBoard.getElapsed());
+  }, 250);
+}
+
+// A way out for players who can't (or don't want to) finish the picture
+assemblySolveBtn.addEventListener('click', () => {
+  assemblyBoard?.solve();
+});
+
+// Fit the assembly board between its header and the hint / solve button
+function resizeAssemblyBoard() {
+  assemblyBoard.resize(Math.min(window.innerWidth - 32, 900), Math.max(200, window.innerHeight - 230));
+}
+
+// Show the creator's hidden message and name on the victory screen
+function showPersonalMessage() {
+  if (!personalMessageText) return;
+
+  messageText.textContent = personalMessageText;
+  messageText.dir = getTextDirection(personalMessageText);
+  if (personalMessageFrom) {
+    messageFrom.textContent = `— ${personalMessageFrom}`;
+    messageFrom.dir = getTextDirection(personalMessageFrom);
+    messageFrom.classList.remove('hidden');
+  }
+  personalMessage.classList.remove('hidden');
+}
+
 // Event listeners
 startBtn.addEventListener('click', startGame);
 
 playAgainBtn.addEventListener('click', () => {
+  // Each campaign stage is played on a fresh page load
+  if (campaign && !campaign.isLastStage() && !replay) {
+    window.location.reload();
+    return;
+  }
+  campaign?.clear();
   window.location.href = 'sender.html';
 });
 
@@ -1244,21 +2126,58 @@ playAgainBtn.addEventListener('click', () => {
 function getShareText() {
   const timeStr = formatTime(completionTime, true);
   const failsText = failCount === 0 ? 'FLAWLESS' : `${failCount} fail${failCount > 1 ? 's' : ''}`;
-  return `I solved this Birdle in ${timeStr} (${failsText})! Can you beat my time?`;
+  const modeText = crashMode.keep !== 'none' ? `, ${crashMode.name.toLowerCase()} mode` : '';
+  const guessCount = getWrongGuessCount() + (solvedByGuess ? 1 : 0);
+  const budgetText = MAX_GUESSES > 0 ? `/${MAX_GUESSES}` : '';
+  const guessText = guessCount > 0 ? `, ${guessCount}${budgetText} guess${guessCount > 1 ? 'es' : ''}` : '';
+  const totalFails = campaign ? campaign.getTotal('fails') : 0;
+  const text = campaign
+    ? `I solved all ${campaign.stageCount} stages of this Birdle in ${formatTime(campaign.getTotal('time'), true)} (${totalFails === 0 ? 'FLAWLESS' : `${totalFails} fail${totalFails > 1 ? 's' : ''}`}${modeText}) for ${campaign.getTotal('score')} points! Can you beat my score?`
+    : `I solved ${daily ? `Daily Birdle #${daily.number}` : 'this Birdle'} in ${timeStr} (${failsText}${modeText}${guessText}) for ${finalScore} points! Can you beat my score?`;
+  // Left-to-right mark keeps the English message (and its brackets) in order in RTL chat apps
+  return phraseDirection === 'rtl' ? `\u200E${text}` : text;
+}
+
+// Share URL always carries the run seed so challengers fly the exact same course
+// (compressed links already have it in their payload, the Daily Birdle picks it by date)
+function getShareUrl() {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has(PAYLOAD_PARAM) && !daily) {
+    url.searchParams.set('s', encodeSeed(runSeed));
+  }
+  return url.toString();
 }
 
 shareTwitterBtn.addEventListener('click', () => {
   const text = getShareText();
-  const url = window.location.href;
+  const url = getShareUrl();
   const twitterUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}&url=${encodeURIComponent(url)}`;
   window.open(twitterUrl, '_blank', 'width=550,height=420');
 });
 
 shareWhatsAppBtn.addEventListener('click', () => {
-  const text = `${getShareText()}\n${window.location.href}`;
+  const text = `${getShareText()}\n${getShareUrl()}`;
   const whatsappUrl = `https://wa.me/?text=${encodeURIComponent(text)}`;
   window.open(whatsappUrl, '_blank');
 });
 
+// Copy a link that replays this session
+exportReplayBtn.addEventListener('click', async () => {
+  if (!recorder) return;
+  const url = new URL(getShareUrl());
+  url.searchParams.set('replay', recorder.export(completionTime, failCount, getWrongGuessCount()));
+
+  try {
+    await navigator.clipboard.writeText(url.toString());
+    exportReplayBtn.textContent = '✓ Replay link copied!';
+  } catch (err) {
+    console.error('Could not copy replay link:', err);
+    exportReplayBtn.textContent = 'Copy failed';
+  }
+  setTimeout(() => {
+    exportReplayBtn.textContent = 'Copy Replay Link';
+  }, 3000);
+});
+
 // Initialize when page loads
 init();
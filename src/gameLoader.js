@@ -0,0 +1,16 @@
+/**
+ * Game page entry point
+ *
+ * The game reads its settings as soon as its module loads, so the link config
+ * is decoded first and the game is imported once it's ready.
+ */
+
+import { loadLinkConfig } from './linkConfig.js';
+
+loadLinkConfig()
+  .then(() => import('./game.js'))
+  .catch(error => {
+    console.error('Error loading puzzle link:', error);
+    alert(error.message);
+    window.location.href = 'sender.html';
+  });
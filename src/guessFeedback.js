@@ -0,0 +1,68 @@
+/**
+ * Guess feedback module - Wordle-style scoring of a guess against the phrase
+ *
+ * Scores per user-perceived character (case-insensitive):
+ *   correct - right character in the right position (green)
+ *   present - character is in the phrase at another position (yellow)
+ *   absent  - character isn't in the phrase, or all its copies are used up (grey)
+ */
+
+import { splitGraphemes } from './utils/graphemes.js';
+
+/**
+ * Normalize a string for comparison
+ * @param {string} text
+ * @returns {Array<string>} Lowercased NFC graphemes
+ */
+function toComparable(text) {
+  return splitGraphemes(text.normalize('NFC').toLowerCase());
+}
+
+/**
+ * Score a guess against the answer, position by position
+ * @param {string} guess
+ * @param {string} answer
+ * @returns {Array<{char: string, state: 'correct'|'present'|'absent'}>} One entry per guessed character
+ */
+export function scoreGuess(guess, answer) {
+  const guessChars = splitGraphemes(guess.normalize('NFC'));
+  const guessComparable = toComparable(guess);
+  const answerComparable = toComparable(answer);
+
+  const result = guessChars.map(char => ({ char, state: 'absent' }));
+
+  // Count answer characters that aren't matched exactly (available for "present")
+  const remaining = new Map();
+  answerComparable.forEach((char, i) => {
+    if (guessComparable[i] === char) {
+      result[i].state = 'correct';
+    } else {
+      remaining.set(char, (remaining.get(char) || 0) + 1);
+    }
+  });
+
+  // Left to right, mark misplaced characters while copies remain
+  guessComparable.forEach((char, i) => {
+    if (result[i].state === 'correct') return;
+    const count = remaining.get(char) || 0;
+    if (count > 0) {
+      result[i].state = 'present';
+      remaining.set(char, count - 1);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Get the answer positions a guess got exactly right
+ * @param {Array<{state: string}>} feedback - Result of scoreGuess()
+ * @returns {Array<number>} Grapheme positions in the answer
+ */
+export function getCorrectPositions(feedback) {
+  const positions = [];
+  feedback.forEach((entry, i) => {
+    if (entry.state === 'correct') positions.push(i);
+  });
+  return positions;
+}
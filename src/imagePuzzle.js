@@ -1,26 +1,148 @@
 /**
  * ImagePuzzle – state management for image jigsaw puzzles.
- * Fixed layout: 2 rows × 4 columns = 8 pieces.
+ * The creator picks a piece count; the rows × columns layout is chosen to
+ * match the image's aspect ratio so pieces come out as close to square as
+ * possible (a portrait photo gets more rows than columns).
+ *
+ * Pieces interlock: every inner edge gets a tab on one side and the matching
+ * blank on the other. A piece's `edges` ({top, right, bottom, left}) hold
+ * 1 for a tab, -1 for a blank and 0 for the flat image border.
  */
+
+export const MIN_PIECES = 4;
+export const MAX_PIECES = 24;
+export const DEFAULT_PIECES = 8;
+
+// How far a tab sticks out, as a share of the piece's shorter side
+const TAB_RATIO = 0.2;
+
+/**
+ * Pick the rows × columns layout for a piece count whose pieces are closest to square
+ * @param {number} pieceCount
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{rows: number, cols: number}}
+ */
+export function getGridLayout(pieceCount, width, height) {
+  let best = null;
+  for (let rows = 1; rows <= pieceCount; rows++) {
+    if (pieceCount % rows !== 0) continue;
+    const cols = pieceCount / rows;
+    // 0 when pieces are square; equally bad for too wide and too tall
+    const skew = Math.abs(Math.log((width / cols) / (height / rows)));
+    if (!best || skew < best.skew) best = { rows, cols, skew };
+  }
+  return { rows: best.rows, cols: best.cols };
+}
+
+/**
+ * Trace one edge of a piece: straight, or with a tab/blank in the middle
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x0 - Edge start
+ * @param {number} y0
+ * @param {number} x1 - Edge end
+ * @param {number} y1
+ * @param {number} nx - Outward normal (unit vector)
+ * @param {number} ny
+ * @param {number} bump - Tab height: > 0 sticks out, < 0 cuts in, 0 is flat
+ */
+function traceEdge(ctx, x0, y0, x1, y1, nx, ny, bump) {
+  if (bump === 0) {
+    ctx.lineTo(x1, y1);
+    return;
+  }
+
+  // Point at share `u` along the edge, `v` tab heights out
+  const at = (u, v) => [x0 + (x1 - x0) * u + nx * bump * v, y0 + (y1 - y0) * u + ny * bump * v];
+  ctx.lineTo(...at(0.36, 0));
+  ctx.bezierCurveTo(...at(0.42, 0.15), ...at(0.30, 0.95), ...at(0.50, 1));
+  ctx.bezierCurveTo(...at(0.70, 0.95), ...at(0.58, 0.15), ...at(0.64, 0));
+  ctx.lineTo(x1, y1);
+}
+
+/**
+ * Trace a piece's outline (clockwise) as a new path
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x - Top-left of the piece body (without tabs)
+ * @param {number} y
+ * @param {number} width - Body size
+ * @param {number} height
+ * @param {{top: number, right: number, bottom: number, left: number}} edges
+ * @param {number} tab - Tab height in the same units as width/height
+ */
+export function traceJigsawPath(ctx, x, y, width, height, edges, tab) {
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  traceEdge(ctx, x, y, x + width, y, 0, -1, edges.top * tab);
+  traceEdge(ctx, x + width, y, x + width, y + height, 1, 0, edges.right * tab);
+  traceEdge(ctx, x + width, y + height, x, y + height, 0, 1, edges.bottom * tab);
+  traceEdge(ctx, x, y + height, x, y, -1, 0, edges.left * tab);
+  ctx.closePath();
+}
+
+/**
+ * Draw a piece of the image in its jigsaw shape
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLCanvasElement} sourceCanvas - The whole puzzle image
+ * @param {Object} piece - Piece from ImagePuzzle.pieces
+ * @param {number} x - Where the piece body's top-left goes
+ * @param {number} y
+ * @param {number} scale - Display size / source size
+ */
+export function drawJigsawPiece(ctx, sourceCanvas, piece, x, y, scale) {
+  ctx.save();
+  traceJigsawPath(ctx, x, y, piece.sw * scale, piece.sh * scale, piece.edges, piece.tab * scale);
+  ctx.clip();
+  ctx.drawImage(sourceCanvas, x - piece.sx * scale, y - piece.sy * scale, sourceCanvas.width * scale, sourceCanvas.height * scale);
+  ctx.restore();
+}
+
 export class ImagePuzzle {
-  constructor(sourceCanvas) {
+  /**
+   * @param {HTMLCanvasElement} sourceCanvas - The (resized) puzzle image
+   * @param {number} [pieceCount=DEFAULT_PIECES] - Clamped to MIN_PIECES..MAX_PIECES
+   * @param {Function} [rng=Math.random] - Picks which side of each edge gets the tab
+   */
+  constructor(sourceCanvas, pieceCount = DEFAULT_PIECES, rng = Math.random) {
     this.sourceCanvas = sourceCanvas;
-    this.ROWS = 2;
-    this.COLS = 4;
+    const count = Number.isInteger(pieceCount)
+      ? Math.max(MIN_PIECES, Math.min(MAX_PIECES, pieceCount))
+      : DEFAULT_PIECES;
+    const { rows, cols } = getGridLayout(count, sourceCanvas.width, sourceCanvas.height);
+    this.ROWS = rows;
+    this.COLS = cols;
     this.TOTAL_PIECES = this.ROWS * this.COLS;
 
-    const pieceW = sourceCanvas.width / this.COLS;
-    const pieceH = sourceCanvas.height / this.ROWS;
+    // Whole-pixel edges so neighbouring pieces don't overlap or leave seams
+    const colEdges = Array.from({ length: cols + 1 }, (_, i) => Math.round(i * sourceCanvas.width / cols));
+    const rowEdges = Array.from({ length: rows + 1 }, (_, i) => Math.round(i * sourceCanvas.height / rows));
+
+    // One tab direction per inner edge, shared by the two pieces that meet there:
+    // 1 = the piece above/left has the tab, -1 = the piece below/right has it
+    const horizontal = Array.from({ length: rows - 1 }, () => Array.from({ length: cols }, () => (rng() < 0.5 ? 1 : -1)));
+    const vertical = Array.from({ length: rows }, () => Array.from({ length: cols - 1 }, () => (rng() < 0.5 ? 1 : -1)));
+
+    // Same tab size everywhere so matching edges line up
+    this.tabSize = Math.round(Math.min(sourceCanvas.width / cols, sourceCanvas.height / rows) * TAB_RATIO);
 
     this.pieces = [];
     for (let row = 0; row < this.ROWS; row++) {
       for (let col = 0; col < this.COLS; col++) {
         this.pieces.push({
           index: row * this.COLS + col,
-          sx: col * pieceW,
-          sy: row * pieceH,
-          sw: pieceW,
-          sh: pieceH
+          row,
+          col,
+          sx: colEdges[col],
+          sy: rowEdges[row],
+          sw: colEdges[col + 1] - colEdges[col],
+          sh: rowEdges[row + 1] - rowEdges[row],
+          tab: this.tabSize,
+          edges: {
+            top: row > 0 ? -horizontal[row - 1][col] : 0,
+            right: col < cols - 1 ? vertical[row][col] : 0,
+            bottom: row < rows - 1 ? horizontal[row][col] : 0,
+            left: col > 0 ? -vertical[row][col - 1] : 0
+          }
         });
       }
     }
@@ -57,4 +179,12 @@ export class ImagePuzzle {
   resetCollected() {
     this.collectedPieces.fill(false);
   }
+
+  getCollectedState() {
+    return this.collectedPieces.slice();
+  }
+
+  restoreCollected(state) {
+    this.collectedPieces = state.slice();
+  }
 }
@@ -1,68 +1,85 @@
 /**
  * JigsawCollectible – a single jigsaw piece the player flies into.
  *
+ * The piece is drawn in its real interlocking shape (see ImagePuzzle), and
+ * its hitbox follows the shape: the body plus any tabs sticking out.
+ *
  * Performance notes:
- *   • The piece body (glow → white bg → clipped image → border) is pre-rendered
+ *   • The piece body (glow → backing fill → clipped image → border) is pre-rendered
  *     once into an offscreen canvas and cached by pieceIndex.  Respawns reuse the
  *     cached sprite — no canvas allocation or shadowBlur on the main thread.
  *   • draw() is a single drawImage + a y-offset bob.  No rotation, no sparkles,
  *     no save/restore/translate in the hot path.  A jigsaw piece floating without
  *     spinning reads better visually anyway.
+ *   • Sprite colours (glow, backing, border) come from the theme's collectibles.
  */
 
+import { traceJigsawPath } from './imagePuzzle.js';
+
 // Sprite cache – survives respawns within a session; page reloads between puzzles
 const _spriteCache = new Map();
 
+// On-screen area of a piece body (a 75 × 65 box), whatever the grid layout
+const PIECE_AREA = 75 * 65;
+
 export class JigsawCollectible {
-  constructor(x, y, pieceIndex, sourceCanvas, pieceData, theme = null) {
+  constructor(x, y, pieceIndex, sourceCanvas, pieceData, theme = null, rng = Math.random) {
     this.x = x;
     this.y = y;
+    this.prevX = x; // Position at the previous tick (for interpolated rendering)
     this.pieceIndex = pieceIndex;
     this.pieceData = pieceData;
 
-    // Display size: preserve source aspect ratio, clamped to max bounds
+    // Display size: preserve source aspect ratio at a constant area, so every
+    // grid layout's pieces are about as easy to hit, clamped to max bounds
     const aspect = pieceData.sw / pieceData.sh;
-    const maxW = 75, maxH = 65;
-    if (aspect > maxW / maxH) {
-      this.width = maxW;
-      this.height = Math.round(maxW / aspect);
-    } else {
-      this.height = maxH;
-      this.width = Math.round(maxH * aspect);
-    }
+    const maxW = 90, maxH = 80;
+    this.width = Math.round(Math.min(maxW, Math.sqrt(PIECE_AREA * aspect)));
+    this.height = Math.round(Math.min(maxH, this.width / aspect));
+    this.width = Math.round(this.height * aspect);
+
+    // Tabs scale with the body
+    this.tab = (pieceData.tab || 0) * (this.width / pieceData.sw);
+    this.edges = pieceData.edges || { top: 0, right: 0, bottom: 0, left: 0 };
 
     this.collected = false;
     this.offScreen = false;
     this.scrollSpeed = 3;
 
     // Bobbing phase (randomised so pieces don't all bob in sync)
-    this.bobOffset = Math.random() * Math.PI * 2;
+    this.bobOffset = rng() * Math.PI * 2;
 
-    // Glow padding (must match what _preRender baked in)
+    // Glow padding plus room for tabs (must match what _preRender baked in)
     const glowRadius = theme?.collectibles?.glowRadius || 15;
-    this._pad = Math.ceil(glowRadius) + 2;
+    this._pad = Math.ceil(glowRadius + this.tab) + 2;
 
     // Reuse cached sprite on respawn; otherwise pre-render and cache
     if (_spriteCache.has(pieceIndex)) {
       this._sprite = _spriteCache.get(pieceIndex);
     } else {
-      const glowColor = theme?.collectibles?.glowColor || '#FFD93D';
-      this._sprite = _preRender(this.width, this.height, this._pad, sourceCanvas, pieceData, glowColor, glowRadius);
+      const colors = {
+        glow: theme?.collectibles?.glowColor || '#FFD93D',
+        fill: theme?.collectibles?.innerColor || '#FFFFFF',
+        border: theme?.collectibles?.bgColor || '#FFFFFF'
+      };
+      this._sprite = _preRender(this.width, this.height, this._pad, this.tab, this.edges, sourceCanvas, pieceData, colors, glowRadius);
       _spriteCache.set(pieceIndex, this._sprite);
     }
   }
 
   update() {
+    this.prevX = this.x;
     this.x -= this.scrollSpeed;
     this.bobOffset += 0.08;
     if (this.x + this.width < 0) this.offScreen = true;
   }
 
-  draw(ctx) {
+  draw(ctx, alpha = 1) {
     if (this.collected) return;
     // Single drawImage — no save/restore, no translate, no rotate
+    const x = this.prevX + (this.x - this.prevX) * alpha;
     ctx.drawImage(this._sprite,
-      this.x - this._pad,
+      x - this._pad,
       this.y + Math.sin(this.bobOffset) * 5 - this._pad);
   }
 
@@ -75,14 +92,30 @@ export class JigsawCollectible {
     };
   }
 
-  intersects(bounds) {
+  /**
+   * Rectangles covering the piece's shape: the body, plus one per tab.
+   * Blanks are small and left in, in the player's favour.
+   * @returns {Array<{x: number, y: number, width: number, height: number}>}
+   */
+  getHitboxes() {
     const b = this.getBounds();
-    return (
+    const boxes = [b];
+    const tabW = b.width * 0.4, tabH = b.height * 0.4; // The bulb spans ~40% of its edge
+    const { top, right, bottom, left } = this.edges;
+    if (top > 0) boxes.push({ x: b.x + (b.width - tabW) / 2, y: b.y - this.tab, width: tabW, height: this.tab });
+    if (bottom > 0) boxes.push({ x: b.x + (b.width - tabW) / 2, y: b.y + b.height, width: tabW, height: this.tab });
+    if (left > 0) boxes.push({ x: b.x - this.tab, y: b.y + (b.height - tabH) / 2, width: this.tab, height: tabH });
+    if (right > 0) boxes.push({ x: b.x + b.width, y: b.y + (b.height - tabH) / 2, width: this.tab, height: tabH });
+    return boxes;
+  }
+
+  intersects(bounds) {
+    return this.getHitboxes().some(b => (
       b.x < bounds.x + bounds.width &&
       b.x + b.width > bounds.x &&
       b.y < bounds.y + bounds.height &&
       b.y + b.height > bounds.y
-    );
+    ));
   }
 
   collect() {
@@ -98,51 +131,37 @@ export class JigsawCollectible {
 // Pre-render helpers (module-level, not on the prototype)
 // ---------------------------------------------------------------------------
 
-function _preRender(width, height, pad, sourceCanvas, pieceData, glowColor, glowRadius) {
-  const r = 6;
-
+function _preRender(width, height, pad, tab, edges, sourceCanvas, pieceData, colors, glowRadius) {
   const canvas = document.createElement('canvas');
   canvas.width  = width  + pad * 2;
   canvas.height = height + pad * 2;
   const c = canvas.getContext('2d');
 
-  // 1. Glow + white background fill
-  c.shadowColor = glowColor;
+  // 1. Glow + background fill, in the piece's shape
+  c.shadowColor = colors.glow;
   c.shadowBlur  = glowRadius;
-  c.fillStyle   = 'rgba(255,255,255,0.92)';
-  c.beginPath();
-  _roundRect(c, pad, pad, width, height, r);
+  c.fillStyle   = colors.fill;
+  traceJigsawPath(c, pad, pad, width, height, edges, tab);
   c.fill();
   c.shadowBlur = 0;
 
-  // 2. Clip to rounded rect and draw the image region
+  // 2. Clip to the shape and draw the image region, tabs included
   c.save();
-  c.beginPath();
-  _roundRect(c, pad, pad, width, height, r);
+  traceJigsawPath(c, pad, pad, width, height, edges, tab);
   c.clip();
   const { sx, sy, sw, sh } = pieceData;
-  c.drawImage(sourceCanvas, sx, sy, sw, sh, pad, pad, width, height);
+  const scale = width / sw;
+  const sourceTab = tab / scale;
+  c.drawImage(sourceCanvas,
+    sx - sourceTab, sy - sourceTab, sw + sourceTab * 2, sh + sourceTab * 2,
+    pad - tab, pad - tab, width + tab * 2, height + tab * 2);
   c.restore();
 
-  // 3. White border on top
-  c.strokeStyle = 'rgba(255,255,255,0.85)';
+  // 3. Border on top
+  c.strokeStyle = colors.border;
   c.lineWidth   = 2.5;
-  c.beginPath();
-  _roundRect(c, pad, pad, width, height, r);
+  traceJigsawPath(c, pad, pad, width, height, edges, tab);
   c.stroke();
 
   return canvas;
 }
-
-function _roundRect(ctx, x, y, w, h, r) {
-  ctx.moveTo(x + r, y);
-  ctx.lineTo(x + w - r, y);
-  ctx.quadraticCurveTo(x + w, y, x + w, y + r);
-  ctx.lineTo(x + w, y + h - r);
-  ctx.quadraticCurveTo(x + w, y + h, x + w - r, y + h);
-  ctx.lineTo(x + r, y + h);
-  ctx.quadraticCurveTo(x, y + h, x, y + h - r);
-  ctx.lineTo(x, y + r);
-  ctx.quadraticCurveTo(x, y, x + r, y);
-  ctx.closePath();
-}
@@ -0,0 +1,77 @@
+/**
+ * Link config module - the puzzle settings carried by the game link
+ *
+ * Compressed links can only be decoded asynchronously, so the config is
+ * loaded once by gameLoader.js before the game module runs. For campaign
+ * links, the config is the current stage's; a link without a puzzle (or
+ * with ?daily) plays the Daily Birdle.
+ */
+
+import { readLinkConfig, encodeToUrlSafe } from './utils/urlEncoding.js';
+import { encodeSeed } from './utils/random.js';
+import { Campaign, getStageConfig, MAX_STAGES } from './campaign.js';
+import { getDailyPuzzle, DAILY_PARAM } from './daily.js';
+
+let linkConfig = null;
+let campaign = null;
+let daily = null;
+
+/**
+ * Decode the current page's link config
+ * @returns {Promise<Object>} The config (see urlEncoding.js for the fields)
+ * @throws {Error} If the link is corrupt or from a newer version
+ */
+export async function loadLinkConfig() {
+  const config = await readLinkConfig(window.location.search);
+
+  const hasPuzzle = config.phrase || config.mode === 'img' || config.stages;
+  if (!hasPuzzle || new URLSearchParams(window.location.search).has(DAILY_PARAM)) {
+    // Everyone plays the same phrase, theme and course today; only the character is up to the player
+    daily = getDailyPuzzle();
+    linkConfig = {
+      phrase: encodeToUrlSafe(daily.phrase),
+      theme: daily.themeId,
+      seed: encodeSeed(daily.seed),
+      emoji: config.emoji
+    };
+    return linkConfig;
+  }
+
+  const stages = Array.isArray(config.stages)
+    ? config.stages.filter(stage => stage && typeof stage === 'object').slice(0, MAX_STAGES)
+    : [];
+  if (stages.length > 0) {
+    campaign = new Campaign(window.location.search, stages.length);
+    linkConfig = getStageConfig({ ...config, stages }, campaign.stage);
+  } else {
+    linkConfig = config;
+  }
+  return linkConfig;
+}
+
+/**
+ * Get the link config loaded by loadLinkConfig()
+ * @returns {Object}
+ */
+export function getLinkConfig() {
+  if (!linkConfig) {
+    throw new Error('Link config used before loadLinkConfig() finished');
+  }
+  return linkConfig;
+}
+
+/**
+ * Get the campaign the link belongs to
+ * @returns {Campaign|null} null for single-puzzle links
+ */
+export function getCampaign() {
+  return campaign;
+}
+
+/**
+ * Get today's daily puzzle, when the link plays the Daily Birdle
+ * @returns {Object|null} From getDailyPuzzle(); null for friend-made puzzles
+ */
+export function getDaily() {
+  return daily;
+}
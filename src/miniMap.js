@@ -0,0 +1,107 @@
+/**
+ * MiniMap – thumbnail of the image puzzle for the HUD (image mode).
+ *
+ * Every slot shows as a faint silhouette until its piece is collected, then
+ * the piece fades into place. Pieces lost in a crash go back to silhouettes.
+ * The same board can be drawn onto another canvas (the game-over screen).
+ */
+
+import { traceJigsawPath, drawJigsawPiece } from './imagePuzzle.js';
+
+// How long a newly collected piece takes to fade in (ms)
+const FADE_MS = 400;
+
+export class MiniMap {
+  /**
+   * @param {HTMLCanvasElement} canvas - HUD canvas
+   * @param {import('./imagePuzzle.js').ImagePuzzle} imagePuzzle
+   * @param {Object} [options]
+   * @param {number} [options.maxWidth=72] - Thumbnail box in CSS pixels
+   * @param {number} [options.maxHeight=36]
+   */
+  constructor(canvas, imagePuzzle, { maxWidth = 72, maxHeight = 36 } = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.puzzle = imagePuzzle;
+    this.source = imagePuzzle.sourceCanvas;
+    this.revealedAt = new Array(imagePuzzle.getTotalPieces()).fill(null); // When each piece was collected
+    this.animationId = null;
+
+    const dpr = window.devicePixelRatio || 1;
+    this.scale = Math.min(maxWidth / this.source.width, maxHeight / this.source.height);
+    const cssWidth = Math.round(this.source.width * this.scale);
+    const cssHeight = Math.round(this.source.height * this.scale);
+    canvas.width = cssWidth * dpr;
+    canvas.height = cssHeight * dpr;
+    canvas.style.width = cssWidth + 'px';
+    canvas.style.height = cssHeight + 'px';
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    this.sync();
+  }
+
+  /**
+   * Catch up with the puzzle's collected pieces: fade in new ones, clear lost ones
+   */
+  sync() {
+    const now = performance.now();
+    this.puzzle.collectedPieces.forEach((collected, i) => {
+      if (!collected) {
+        this.revealedAt[i] = null;
+      } else if (this.revealedAt[i] === null) {
+        this.revealedAt[i] = now;
+      }
+    });
+
+    if (!this.animationId) this._animate();
+  }
+
+  /**
+   * Draw the board (fades finished) into a box on another canvas, centred
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} x - Box top-left
+   * @param {number} y
+   * @param {number} width - Box size
+   * @param {number} height
+   */
+  drawInto(ctx, x, y, width, height) {
+    const scale = Math.min(width / this.source.width, height / this.source.height);
+    const boardWidth = this.source.width * scale;
+    const boardHeight = this.source.height * scale;
+    this._draw(ctx, x + (width - boardWidth) / 2, y + (height - boardHeight) / 2, scale, Infinity);
+  }
+
+  // Redraw the HUD canvas every frame until all fades are done
+  _animate() {
+    const now = performance.now();
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this._draw(this.ctx, 0, 0, this.scale, now);
+
+    const fading = this.revealedAt.some(time => time !== null && now - time < FADE_MS);
+    this.animationId = fading ? requestAnimationFrame(() => this._animate()) : null;
+  }
+
+  _draw(ctx, x, y, scale, now) {
+    ctx.save();
+
+    // Silhouettes for every slot
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.12)';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.lineWidth = 1;
+    this.puzzle.pieces.forEach(piece => {
+      traceJigsawPath(ctx, x + piece.sx * scale, y + piece.sy * scale, piece.sw * scale, piece.sh * scale, piece.edges, piece.tab * scale);
+      ctx.fill();
+      ctx.stroke();
+    });
+
+    // Collected pieces fade in on top
+    this.puzzle.pieces.forEach((piece, i) => {
+      const revealedAt = this.revealedAt[i];
+      if (revealedAt === null) return;
+      ctx.globalAlpha = Math.min(1, (now - revealedAt) / FADE_MS);
+      drawJigsawPiece(ctx, this.source, piece, x + piece.sx * scale, y + piece.sy * scale, scale);
+    });
+
+    ctx.restore();
+  }
+}
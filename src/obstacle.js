@@ -5,8 +5,9 @@
 import { gradientCache } from './utils/gradientCache.js';
 
 export class Obstacle {
-  constructor(x, canvasHeight, gapY, gapSize = 150, theme = null) {
+  constructor(x, canvasHeight, gapY, gapSize = 150, theme = null, rng = Math.random) {
     this.x = x;
+    this.prevX = x; // Position at the previous tick (for interpolated rendering)
     this.canvasHeight = canvasHeight;
     this.gapY = gapY; // Center Y of the gap
     this.gapSize = gapSize;
@@ -15,7 +16,7 @@ export class Obstacle {
     this.offScreen = false;
     this.passed = false; // Track if player has passed this obstacle
     this.theme = theme;
-    this.rotation = Math.random() * Math.PI * 2; // For rotating asteroids
+    this.rotation = rng() * Math.PI * 2; // For rotating asteroids
 
     // Calculate top and bottom pipe heights
     this.topHeight = gapY - gapSize / 2;
@@ -24,9 +25,10 @@ export class Obstacle {
   }
   
   /**
-   * Update obstacle position
+   * Update obstacle position - one fixed tick
    */
   update() {
+    this.prevX = this.x;
     this.x -= this.scrollSpeed;
 
     // Rotate asteroids
@@ -43,14 +45,15 @@ export class Obstacle {
   /**
    * Draw the obstacle (pipes)
    * @param {CanvasRenderingContext2D} ctx
+   * @param {number} [alpha=1] - Interpolation between the previous and current tick (0-1)
    */
-  draw(ctx) {
-    if (!this.theme) {
-      this.drawPipe(ctx); // Fallback to classic pipes
-      return;
-    }
+  draw(ctx, alpha = 1) {
+    // Interpolate by offsetting the whole obstacle (keeps gradient cache keys stable)
+    const offsetX = (this.prevX - this.x) * (1 - alpha);
+    ctx.save();
+    ctx.translate(offsetX, 0);
 
-    const obstacleType = this.theme.obstacles?.type || 'pipe';
+    const obstacleType = this.theme?.obstacles?.type || 'pipe'; // No theme: classic pipes
 
     switch (obstacleType) {
       case 'spike':
@@ -67,6 +70,8 @@ export class Obstacle {
         this.drawPipe(ctx);
         break;
     }
+
+    ctx.restore();
   }
 
   /**
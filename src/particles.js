@@ -16,28 +16,33 @@ const PARTICLE_COLORS = [
  * Single particle for explosion/scatter effects
  */
 class DeathParticle {
-  constructor(x, y, color) {
+  constructor(x, y, color, rng = Math.random) {
     this.x = x;
     this.y = y;
+    this.prevX = x;
+    this.prevY = y;
     this.color = color;
-    this.size = 4 + Math.random() * 8;
+    this.size = 4 + rng() * 8;
 
     // Random velocity in all directions
-    const angle = Math.random() * Math.PI * 2;
-    const speed = 3 + Math.random() * 8;
+    const angle = rng() * Math.PI * 2;
+    const speed = 3 + rng() * 8;
     this.vx = Math.cos(angle) * speed;
     this.vy = Math.sin(angle) * speed - 2; // slight upward bias
 
     this.gravity = 0.3;
     this.friction = 0.98;
     this.alpha = 1;
-    this.rotation = Math.random() * Math.PI * 2;
-    this.rotationSpeed = (Math.random() - 0.5) * 0.3;
+    this.rotation = rng() * Math.PI * 2;
+    this.rotationSpeed = (rng() - 0.5) * 0.3;
     this.life = 1;
-    this.decay = 0.015 + Math.random() * 0.01;
+    this.decay = 0.015 + rng() * 0.01;
   }
 
   update() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+
     this.vy += this.gravity;
     this.vx *= this.friction;
     this.vy *= this.friction;
@@ -50,12 +55,12 @@ class DeathParticle {
     this.alpha = this.life;
   }
 
-  draw(ctx) {
+  draw(ctx, alpha = 1) {
     if (this.life <= 0) return;
 
     ctx.save();
     ctx.globalAlpha = this.alpha;
-    ctx.translate(this.x, this.y);
+    ctx.translate(this.prevX + (this.x - this.prevX) * alpha, this.prevY + (this.y - this.prevY) * alpha);
     ctx.rotate(this.rotation);
 
     // Draw as small square (broken piece effect)
@@ -79,11 +84,11 @@ class DeathParticle {
  * Looks like oozing paint splatter
  */
 class SplashParticle {
-  constructor(x, y, color, clipBounds) {
+  constructor(x, y, color, clipBounds, rng = Math.random) {
     this.x = x;
     this.y = y;
     this.color = color;
-    this.size = 5 + Math.random() * 10;
+    this.size = 5 + rng() * 10;
     this.alpha = 0.85;
 
     // Store clip bounds (the pipe rectangle this splash belongs to)
@@ -91,10 +96,10 @@ class SplashParticle {
 
     // Generate random blob shape (offsets for organic look)
     this.blobPoints = [];
-    const numPoints = 6 + Math.floor(Math.random() * 4);
+    const numPoints = 6 + Math.floor(rng() * 4);
     for (let i = 0; i < numPoints; i++) {
       const angle = (i / numPoints) * Math.PI * 2;
-      const radiusVariation = 0.6 + Math.random() * 0.8; // 60% to 140% of size
+      const radiusVariation = 0.6 + rng() * 0.8; // 60% to 140% of size
       this.blobPoints.push({
         angle,
         radius: this.size * radiusVariation
@@ -103,28 +108,28 @@ class SplashParticle {
 
     // Multiple drips for oozing effect
     this.drips = [];
-    const numDrips = Math.random() > 0.3 ? 1 + Math.floor(Math.random() * 3) : 0;
+    const numDrips = rng() > 0.3 ? 1 + Math.floor(rng() * 3) : 0;
     for (let i = 0; i < numDrips; i++) {
       this.drips.push({
-        offsetX: (Math.random() - 0.5) * this.size * 1.2,
-        width: 2 + Math.random() * 4,
-        speed: 0.2 + Math.random() * 0.6,
-        maxLength: 15 + Math.random() * 35,
+        offsetX: (rng() - 0.5) * this.size * 1.2,
+        width: 2 + rng() * 4,
+        speed: 0.2 + rng() * 0.6,
+        maxLength: 15 + rng() * 35,
         currentLength: 0,
-        wobble: Math.random() * Math.PI * 2 // for slight curve
+        wobble: rng() * Math.PI * 2 // for slight curve
       });
     }
 
     // Small satellite blobs
     this.satellites = [];
-    const numSatellites = Math.floor(Math.random() * 3);
+    const numSatellites = Math.floor(rng() * 3);
     for (let i = 0; i < numSatellites; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const dist = this.size * (1.2 + Math.random() * 0.8);
+      const angle = rng() * Math.PI * 2;
+      const dist = this.size * (1.2 + rng() * 0.8);
       this.satellites.push({
         x: Math.cos(angle) * dist,
         y: Math.sin(angle) * dist,
-        size: 2 + Math.random() * 4
+        size: 2 + rng() * 4
       });
     }
   }
@@ -231,14 +236,16 @@ class SplashParticle {
  * Sparkle particle for collection effects - uses ✨ emoji
  */
 class SparkleParticle {
-  constructor(x, y) {
+  constructor(x, y, rng = Math.random) {
     this.x = x;
     this.y = y;
-    this.size = 14 + Math.random() * 12;
+    this.prevX = x;
+    this.prevY = y;
+    this.size = 14 + rng() * 12;
 
     // Burst outward from collection point
-    const angle = Math.random() * Math.PI * 2;
-    const speed = 2 + Math.random() * 4;
+    const angle = rng() * Math.PI * 2;
+    const speed = 2 + rng() * 4;
     this.vx = Math.cos(angle) * speed;
     this.vy = Math.sin(angle) * speed - 1; // slight upward bias
 
@@ -246,17 +253,20 @@ class SparkleParticle {
     this.friction = 0.96;
     this.alpha = 1;
     this.life = 1;
-    this.decay = 0.02 + Math.random() * 0.015;
+    this.decay = 0.02 + rng() * 0.015;
 
     // Twinkle effect
-    this.twinkleSpeed = 0.15 + Math.random() * 0.2;
-    this.twinklePhase = Math.random() * Math.PI * 2;
+    this.twinkleSpeed = 0.15 + rng() * 0.2;
+    this.twinklePhase = rng() * Math.PI * 2;
 
-    this.rotation = (Math.random() - 0.5) * 0.5;
-    this.rotationSpeed = (Math.random() - 0.5) * 0.1;
+    this.rotation = (rng() - 0.5) * 0.5;
+    this.rotationSpeed = (rng() - 0.5) * 0.1;
   }
 
   update() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+
     this.vy += this.gravity;
     this.vx *= this.friction;
     this.vy *= this.friction;
@@ -270,7 +280,7 @@ class SparkleParticle {
     this.alpha = this.life;
   }
 
-  draw(ctx) {
+  draw(ctx, alpha = 1) {
     if (this.life <= 0) return;
 
     // Twinkle effect - pulse size
@@ -278,7 +288,7 @@ class SparkleParticle {
     const size = this.size * twinkle;
 
     ctx.save();
-    ctx.translate(this.x, this.y);
+    ctx.translate(this.prevX + (this.x - this.prevX) * alpha, this.prevY + (this.y - this.prevY) * alpha);
     ctx.rotate(this.rotation);
 
     // Draw outer glow
@@ -312,7 +322,11 @@ class SparkleParticle {
  * Particle system manager
  */
 export class ParticleSystem {
-  constructor() {
+  /**
+   * @param {() => number} [rng] - Random source (seeded for reproducible runs)
+   */
+  constructor(rng = Math.random) {
+    this.rng = rng;
     this.particles = [];
     this.splashParticles = [];
     this.sparkleParticles = [];
@@ -326,11 +340,11 @@ export class ParticleSystem {
    * @param {string[]} colors - Colors to use for particles
    */
   createDeathExplosion(x, y, colors = PARTICLE_COLORS) {
-    const particleCount = 30 + Math.floor(Math.random() * 15);
+    const particleCount = 30 + Math.floor(this.rng() * 15);
 
     for (let i = 0; i < particleCount; i++) {
-      const color = colors[Math.floor(Math.random() * colors.length)];
-      this.particles.push(new DeathParticle(x, y, color));
+      const color = colors[Math.floor(this.rng() * colors.length)];
+      this.particles.push(new DeathParticle(x, y, color, this.rng));
     }
   }
 
@@ -348,7 +362,7 @@ export class ParticleSystem {
 
       // Only splash on nearby pipes
       if (distX < 100) {
-        const splashCount = 10 + Math.floor(Math.random() * 6);
+        const splashCount = 10 + Math.floor(this.rng() * 6);
         const capOverhang = 5; // Match the pipe cap overhang from obstacle.js
 
         // Determine which pipe was hit based on player Y position
@@ -359,11 +373,11 @@ export class ParticleSystem {
 
           // Spawn splash around the actual crash location
           // Spread horizontally across the pipe face
-          splashX = obstacle.x - capOverhang + Math.random() * (obstacle.width + capOverhang * 2);
+          splashX = obstacle.x - capOverhang + this.rng() * (obstacle.width + capOverhang * 2);
 
           // Spread vertically around player's Y position with some randomness
           const ySpread = 40;
-          splashY = playerY + (Math.random() - 0.5) * ySpread;
+          splashY = playerY + (this.rng() - 0.5) * ySpread;
 
           if (hitTopPipe) {
             // Clip bounds for top pipe (from top of screen to bottom of top pipe)
@@ -383,8 +397,8 @@ export class ParticleSystem {
             };
           }
 
-          const color = colors[Math.floor(Math.random() * colors.length)];
-          this.splashParticles.push(new SplashParticle(splashX, splashY, color, clipBounds));
+          const color = colors[Math.floor(this.rng() * colors.length)];
+          this.splashParticles.push(new SplashParticle(splashX, splashY, color, clipBounds, this.rng));
         }
       }
     }
@@ -396,10 +410,10 @@ export class ParticleSystem {
    * @param {number} y - Center Y position
    */
   createCollectSparkles(x, y) {
-    const particleCount = 12 + Math.floor(Math.random() * 8);
+    const particleCount = 12 + Math.floor(this.rng() * 8);
 
     for (let i = 0; i < particleCount; i++) {
-      this.sparkleParticles.push(new SparkleParticle(x, y));
+      this.sparkleParticles.push(new SparkleParticle(x, y, this.rng));
     }
   }
 
@@ -443,13 +457,13 @@ export class ParticleSystem {
 
     // Random shake offset
     return {
-      x: (Math.random() - 0.5) * 2 * currentIntensity,
-      y: (Math.random() - 0.5) * 2 * currentIntensity
+      x: (this.rng() - 0.5) * 2 * currentIntensity,
+      y: (this.rng() - 0.5) * 2 * currentIntensity
     };
   }
 
   /**
-   * Update all particles
+   * Update all particles - one fixed tick
    */
   update() {
     // Update death particles
@@ -467,16 +481,17 @@ export class ParticleSystem {
   /**
    * Draw all particles
    * @param {CanvasRenderingContext2D} ctx
+   * @param {number} [alpha=1] - Interpolation between the previous and current tick (0-1)
    */
-  draw(ctx) {
+  draw(ctx, alpha = 1) {
     // Draw splash particles first (behind other elements)
     this.splashParticles.forEach(p => p.draw(ctx));
 
     // Draw death particles
-    this.particles.forEach(p => p.draw(ctx));
+    this.particles.forEach(p => p.draw(ctx, alpha));
 
     // Draw sparkle particles (on top)
-    this.sparkleParticles.forEach(p => p.draw(ctx));
+    this.sparkleParticles.forEach(p => p.draw(ctx, alpha));
   }
 
   /**
@@ -8,6 +8,7 @@ export class Player {
     this.x = x;
     this.y = y;
     this.initialY = y; // Store initial position for reset
+    this.prevY = y; // Position at the previous tick (for interpolated rendering)
     this.width = 40;
     this.height = 40; // Made square for Flappy Bird style
     this.velocityY = 0;
@@ -17,6 +18,7 @@ export class Player {
     this.theme = opts.theme || null;
     this.rotation = 0; // Visual rotation based on velocity
     this.collectEffect = 0; // Collection animation timer
+    this.invulnerableTicks = 0; // Blink/invulnerability after losing a life
 
     // Trail effect - smooth glowing particles (use theme colors)
     this.trail = [];
@@ -43,10 +45,12 @@ export class Player {
   }
 
   /**
-   * Update player physics (Flappy Bird style - vertical only)
+   * Update player physics (Flappy Bird style - vertical only) - one fixed tick
    * @param {number} canvasHeight - Height of canvas for bounds checking
    */
   update(canvasHeight) {
+    this.prevY = this.y;
+
     // Apply gravity
     this.velocityY += this.gravity;
 
@@ -62,6 +66,11 @@ export class Player {
       this.collectEffect -= 0.1;
     }
 
+    // Count down invulnerability
+    if (this.invulnerableTicks > 0) {
+      this.invulnerableTicks--;
+    }
+
     // Update trail - add particle every frame for smooth continuous trail
     this.trail.push({
       x: this.x + this.width / 2,
@@ -111,6 +120,22 @@ export class Player {
     this.collectEffect = 1;
   }
 
+  /**
+   * Start the post-hit blink, during which obstacles can't hurt the player
+   * @param {number} ticks - How long the invulnerability lasts (in ticks)
+   */
+  hit(ticks) {
+    this.invulnerableTicks = ticks;
+  }
+
+  /**
+   * Check if the player is still blinking after a hit
+   * @returns {boolean}
+   */
+  isInvulnerable() {
+    return this.invulnerableTicks > 0;
+  }
+
   /**
    * Make player flap (jump upward)
    */
@@ -140,8 +165,10 @@ export class Player {
    */
   reset() {
     this.y = this.initialY;
+    this.prevY = this.initialY;
     this.velocityY = 0;
     this.rotation = 0;
+    this.invulnerableTicks = 0;
     this.trail = [];
   }
 
@@ -218,8 +245,9 @@ export class Player {
   /**
    * Draw the player
    * @param {CanvasRenderingContext2D} ctx
+   * @param {number} [alpha=1] - Interpolation between the previous and current tick (0-1)
    */
-  draw(ctx) {
+  draw(ctx, alpha = 1) {
     // Reset all state before drawing (fix for mobile browsers)
     ctx.globalAlpha = 1;
     ctx.shadowBlur = 0;
@@ -238,7 +266,8 @@ export class Player {
     ctx.save();
 
     // Translate to player center for rotation
-    ctx.translate(this.x + this.width / 2, this.y + this.height / 2);
+    const renderY = this.prevY + (this.y - this.prevY) * alpha;
+    ctx.translate(this.x + this.width / 2, renderY + this.height / 2);
     ctx.rotate(this.rotation);
 
     // Apply collect effect (scale up briefly)
@@ -248,6 +277,11 @@ export class Player {
     // REMOVED: Glow effect during collection (shadowBlur expensive on mobile)
     // Collection visual feedback is still provided by scale animation
 
+    // Blink while invulnerable
+    if (this.invulnerableTicks > 0 && Math.floor(this.invulnerableTicks / 6) % 2 === 0) {
+      ctx.globalAlpha = 0.25;
+    }
+
     // Draw emoji character (explicit fillStyle needed for mobile)
     ctx.fillStyle = '#000000';
     ctx.font = `${this.width * 1.2}px "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif`;
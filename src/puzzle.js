@@ -1,12 +1,43 @@
 /**
  * Puzzle module - handles phrase splitting and piece collection state
+ * Pieces are built from grapheme clusters, so emoji sequences and letters with
+ * combining marks are never split into unrenderable halves.
  */
 
+import { splitGraphemes } from './utils/graphemes.js';
+
+// How a phrase can be split into pieces (chosen by the creator)
+export const SPLIT_MODES = {
+  letter: { id: 'letter', unit: 'letters' },
+  word: { id: 'word', unit: 'words' },
+  syllable: { id: 'syllable', unit: 'syllables' },
+  chunk: { id: 'chunk', unit: 'chunks' }
+};
+
+const CHUNK_SIZE = 3; // Characters per piece in chunk mode
+
+// Rough syllable matcher for Latin-script words (consonants + vowel group + trailing consonants)
+const SYLLABLE_PATTERN = /[^aeiouyà-ÿ]*[aeiouyà-ÿ]+(?:[^aeiouyà-ÿ]*$|[^aeiouyà-ÿ](?=[^aeiouyà-ÿ]))?/gi;
+
 export class Puzzle {
-  constructor(phrase) {
-    this.originalPhrase = phrase;
-    this.pieces = this.splitPhrase(phrase);
+  /**
+   * @param {string} phrase
+   * @param {string} [splitMode='letter'] - One of SPLIT_MODES
+   */
+  constructor(phrase, splitMode = 'letter') {
+    this.originalPhrase = phrase.normalize('NFC');
+    this.splitMode = SPLIT_MODES[splitMode] || SPLIT_MODES.letter;
+    this.pieces = this.splitPhrase(this.originalPhrase);
     this.collectedPieces = new Array(this.pieces.length).fill(false);
+
+    // Character (grapheme) positions revealed by correct guess letters, and where each piece starts
+    this.revealedChars = new Array(splitGraphemes(this.originalPhrase).length).fill(false);
+    this.pieceOffsets = [];
+    let offset = 0;
+    this.pieces.forEach(piece => {
+      this.pieceOffsets.push(offset);
+      offset += splitGraphemes(piece).length;
+    });
     
     // Auto-collect spaces - they should never be collectibles
     this.autoCollectSpaces();
@@ -14,13 +45,50 @@ export class Puzzle {
   
   /**
    * Split phrase into collectible pieces
-   * For now, split by characters (including spaces)
+   * Spaces are always their own single-space pieces; the rest depends on the split mode
    * @param {string} phrase
    * @returns {Array<string>}
    */
   splitPhrase(phrase) {
-    // Split into individual characters
-    return phrase.split('');
+    if (this.splitMode.id === 'letter') {
+      // Split into individual user-perceived characters
+      return splitGraphemes(phrase);
+    }
+
+    const pieces = [];
+    phrase.split(/( )/).forEach(word => {
+      if (word === '') return;
+      if (word === ' ') {
+        pieces.push(word);
+      } else {
+        pieces.push(...this.splitWord(word));
+      }
+    });
+    return pieces;
+  }
+
+  /**
+   * Split a single word according to the split mode
+   * @param {string} word - Word without spaces
+   * @returns {Array<string>}
+   */
+  splitWord(word) {
+    if (this.splitMode.id === 'syllable') {
+      const syllables = word.match(SYLLABLE_PATTERN);
+      // Fall back to the whole word when the heuristic doesn't cover it (e.g. non-Latin scripts)
+      return syllables && syllables.join('') === word ? syllables : [word];
+    }
+
+    if (this.splitMode.id === 'chunk') {
+      const chars = splitGraphemes(word);
+      const chunks = [];
+      for (let i = 0; i < chars.length; i += CHUNK_SIZE) {
+        chunks.push(chars.slice(i, i + CHUNK_SIZE).join(''));
+      }
+      return chunks;
+    }
+
+    return [word];
   }
   
   /**
@@ -35,7 +103,7 @@ export class Puzzle {
   }
   
   /**
-   * Mark a piece as collected (collects all identical characters)
+   * Mark a piece as collected (collects all identical pieces)
    * @param {number} index - Index of the piece to collect
    * @returns {boolean} - Whether any piece was newly collected
    */
@@ -72,15 +140,76 @@ export class Puzzle {
     });
   }
   
+  /**
+   * Snapshot which pieces are collected (for checkpoints)
+   * @returns {Array<boolean>}
+   */
+  getCollectedState() {
+    return this.collectedPieces.slice();
+  }
+
+  /**
+   * Restore a snapshot taken with getCollectedState()
+   * @param {Array<boolean>} state
+   */
+  restoreCollected(state) {
+    this.collectedPieces = state.slice();
+  }
+  
   /**
    * Get the reconstructed phrase with collected pieces
    * @returns {string}
    */
   getReconstructedPhrase() {
     return this.pieces
-      .map((piece, index) => this.collectedPieces[index] ? piece : '_')
+      .map((piece, index) => {
+        if (this.collectedPieces[index]) return piece;
+        // Uncollected: blanks, except characters revealed by guesses
+        const offset = this.pieceOffsets[index];
+        return splitGraphemes(piece)
+          .map((char, i) => this.revealedChars[offset + i] ? char : '_')
+          .join('');
+      })
       .join('');
   }
+
+  /**
+   * Reveal characters a guess placed correctly (they show even before being collected)
+   * @param {Array<number>} positions - Grapheme positions in the phrase
+   */
+  revealCharacters(positions) {
+    positions.forEach(position => {
+      if (position >= 0 && position < this.revealedChars.length) {
+        this.revealedChars[position] = true;
+      }
+    });
+  }
+
+  /**
+   * Check if a character was revealed by a guess
+   * @param {number} position - Grapheme position in the phrase
+   * @returns {boolean}
+   */
+  isCharRevealed(position) {
+    return this.revealedChars[position] === true;
+  }
+
+  /**
+   * Get the grapheme position where a piece starts in the phrase
+   * @param {number} index - Piece index
+   * @returns {number}
+   */
+  getPieceOffset(index) {
+    return this.pieceOffsets[index];
+  }
+
+  /**
+   * Get the name of the piece unit for display ("letters", "words", ...)
+   * @returns {string}
+   */
+  getUnitLabel() {
+    return this.splitMode.unit;
+  }
   
   /**
    * Check if all pieces are collected (including auto-collected spaces)
@@ -161,7 +290,7 @@ export class Puzzle {
   }
   
   /**
-   * Return one index per distinct non-space character (used to spawn each letter only once)
+   * Return one index per distinct non-space piece (used to spawn each piece only once)
    * @returns {Array<number>}
    */
   getUniqueNonSpaceIndices() {
@@ -0,0 +1,188 @@
+/**
+ * Replay module - records a session's flaps and plays them back frame-exactly
+ *
+ * A recording holds everything needed to re-simulate a session on the fixed
+ * 60 ticks/sec update loop: the run seed, the physics/canvas config it was
+ * played with, and one entry per attempt listing every flap as
+ * [frame, timestamp] plus how the attempt ended.
+ */
+
+import { encodeToUrlSafe, decodeFromUrlSafe } from './utils/urlEncoding.js';
+
+export const REPLAY_VERSION = 1;
+
+// Slack for the recorded time vs. the simulated minimum (tick accumulator rounding)
+const TIME_TOLERANCE_MS = 100;
+
+export class InputRecorder {
+  /**
+   * @param {number} seed - Run seed the session is played with
+   * @param {Object} config - Physics/canvas config (see game.js getReplayConfig)
+   */
+  constructor(seed, config) {
+    this.seed = seed;
+    this.config = config;
+    this.attempts = [];
+    this.current = null;
+  }
+
+  /**
+   * Begin recording a new attempt (called on every start/retry)
+   */
+  startAttempt() {
+    this.current = { flaps: [], end: 0, result: null };
+    this.attempts.push(this.current);
+  }
+
+  /**
+   * Record a flap applied on the given tick
+   * @param {number} frame - Tick number within the attempt
+   * @param {number} time - Milliseconds since the session started
+   */
+  recordFlap(frame, time) {
+    if (!this.current) return;
+    this.current.flaps.push([frame, Math.round(time)]);
+  }
+
+  /**
+   * Close the current attempt
+   * @param {number} frame - Last simulated tick
+   * @param {'crash'|'solved'|'guess'} result
+   */
+  endAttempt(frame, result) {
+    if (!this.current) return;
+    this.current.end = frame;
+    this.current.result = result;
+    this.current = null;
+  }
+
+  /**
+   * Serialize the session into a URL-safe string
+   * @param {number} completionTime - Session time shown on the victory screen (ms)
+   * @param {number} failCount
+   * @param {number} [wrongGuesses=0]
+   * @returns {string}
+   */
+  export(completionTime, failCount, wrongGuesses = 0) {
+    const data = {
+      v: REPLAY_VERSION,
+      seed: this.seed,
+      config: this.config,
+      time: Math.round(completionTime),
+      fails: failCount,
+      guesses: wrongGuesses,
+      attempts: this.attempts.map(a => ({ f: a.flaps, e: a.end, r: a.result }))
+    };
+    return encodeToUrlSafe(JSON.stringify(data));
+  }
+}
+
+export class ReplayPlayer {
+  /**
+   * @param {Object} data - Decoded recording (see decodeReplay)
+   */
+  constructor(data) {
+    this.seed = data.seed;
+    this.config = data.config;
+    this.time = data.time;
+    this.fails = data.fails;
+    this.wrongGuesses = data.guesses ?? 0;
+    this.attempts = data.attempts;
+    this.attemptIndex = -1;
+    this.cursor = 0;
+  }
+
+  /**
+   * Move to the next recorded attempt
+   * @returns {boolean} Whether another attempt exists
+   */
+  nextAttempt() {
+    this.attemptIndex++;
+    this.cursor = 0;
+    return this.attemptIndex < this.attempts.length;
+  }
+
+  /**
+   * Whether there is a recorded attempt after the current one
+   * @returns {boolean}
+   */
+  hasNextAttempt() {
+    return this.attemptIndex + 1 < this.attempts.length;
+  }
+
+  /**
+   * Check whether the recording flapped on this tick
+   * @param {number} frame
+   * @returns {boolean}
+   */
+  flapsAt(frame) {
+    const attempt = this.attempts[this.attemptIndex];
+    if (!attempt) return false;
+
+    let flapped = false;
+    while (this.cursor < attempt.f.length && attempt.f[this.cursor][0] <= frame) {
+      if (attempt.f[this.cursor][0] === frame) flapped = true;
+      this.cursor++;
+    }
+    return flapped;
+  }
+
+  /**
+   * Check whether the recorded attempt was solved by a guess on this tick
+   * @param {number} frame
+   * @returns {boolean}
+   */
+  guessesAt(frame) {
+    const attempt = this.attempts[this.attemptIndex];
+    return !!attempt && attempt.r === 'guess' && attempt.e === frame;
+  }
+
+  /**
+   * Shortest session the recording could have taken: every attempt's ticks,
+   * and no earlier than the last flap's timestamp allows
+   * @param {number} tickMs - Length of one simulation tick
+   * @returns {number} Milliseconds, penalties not included
+   */
+  getMinimumTime(tickMs) {
+    const flown = this.attempts.reduce((sum, attempt) => sum + attempt.e * tickMs, 0);
+    const last = this.attempts[this.attempts.length - 1];
+    const lastFlap = last?.f[last.f.length - 1];
+    const afterLastFlap = lastFlap ? lastFlap[1] + (last.e - lastFlap[0]) * tickMs : 0;
+    return Math.max(flown, afterLastFlap);
+  }
+
+  /**
+   * Verify that the simulated outcome matches the recording, and that the
+   * recorded time isn't shorter than the simulated session
+   * @param {number} frame - Tick the simulation finished on
+   * @param {number} failCount - Simulated fail count
+   * @param {Object} timing
+   * @param {number} timing.tickMs - Length of one simulation tick
+   * @param {number} timing.penaltyMs - Penalties the session earned (crashes, wrong guesses)
+   * @returns {boolean}
+   */
+  verify(frame, failCount, { tickMs, penaltyMs }) {
+    const last = this.attempts[this.attempts.length - 1];
+    return this.attemptIndex === this.attempts.length - 1 &&
+      !!last && last.e === frame && last.r !== 'crash' &&
+      failCount === this.fails &&
+      this.time >= this.getMinimumTime(tickMs) + penaltyMs - TIME_TOLERANCE_MS;
+  }
+}
+
+/**
+ * Decode a recording from the `replay` URL param
+ * @param {string} encoded
+ * @returns {Object} Recording data
+ * @throws {Error} If the recording is malformed or from an unknown version
+ */
+export function decodeReplay(encoded) {
+  const data = JSON.parse(decodeFromUrlSafe(encoded));
+  if (!data || data.v !== REPLAY_VERSION) {
+    throw new Error('Unsupported replay version');
+  }
+  if (!Array.isArray(data.attempts) || !data.config || typeof data.seed !== 'number') {
+    throw new Error('Malformed replay');
+  }
+  return data;
+}
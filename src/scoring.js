@@ -0,0 +1,30 @@
+/**
+ * Scoring module - points for a solved Birdle
+ *
+ * Solving early pays: a correct guess made while most of the phrase is still
+ * hidden earns a large bonus. Wrong guesses, crashes and time cost points.
+ */
+
+export const SCORE_BASE = 1000;
+export const SCORE_EARLY_BONUS = 2000; // Scaled by the fraction of pieces still uncollected
+export const SCORE_WRONG_GUESS = 150;
+export const SCORE_FAIL = 50;
+export const SCORE_PER_SECOND = 2;
+
+/**
+ * Calculate the final score
+ * @param {Object} stats
+ * @param {number} stats.hiddenFraction - Fraction (0-1) of pieces not collected when solved
+ * @param {number} stats.wrongGuesses - Number of wrong guesses
+ * @param {number} stats.failCount - Number of game overs
+ * @param {number} stats.timeMs - Completion time including penalties
+ * @returns {{total: number, earlyBonus: number}}
+ */
+export function calculateScore({ hiddenFraction, wrongGuesses, failCount, timeMs }) {
+  const earlyBonus = Math.round(SCORE_EARLY_BONUS * Math.max(0, Math.min(1, hiddenFraction)));
+  const total = SCORE_BASE + earlyBonus
+    - SCORE_WRONG_GUESS * wrongGuesses
+    - SCORE_FAIL * failCount
+    - Math.floor(SCORE_PER_SECOND * timeMs / 1000);
+  return { total: Math.max(0, total), earlyBonus };
+}
@@ -1,5 +1,10 @@
-import { encodeToUrlSafe } from './utils/urlEncoding.js';
+import { encodeToUrlSafe, encryptToUrlSafe, createLinkSalt, canEncrypt, encodeLinkPayload, PAYLOAD_PARAM } from './utils/urlEncoding.js';
 import { uploadImage } from './utils/imgbbUpload.js';
+import { encodeEmbeddedImage, getEmbeddedImageRef, buildImageFragment } from './utils/imageEmbed.js';
+import { randomSeed, encodeSeed } from './utils/random.js';
+import { splitGraphemes, countGraphemes } from './utils/graphemes.js';
+import { MAX_STAGES } from './campaign.js';
+import { DEFAULT_PIECES } from './imagePuzzle.js';
 
 // DOM elements
 const phraseInput = document.getElementById('phraseInput');
@@ -11,6 +16,23 @@ const copySuccess = document.getElementById('copySuccess');
 const emojiGrid = document.getElementById('emojiGrid');
 const customEmojiInput = document.getElementById('customEmojiInput');
 const themeGrid = document.getElementById('themeGrid');
+const difficultyGrid = document.getElementById('difficultyGrid');
+const rampGrid = document.getElementById('rampGrid');
+const crashGrid = document.getElementById('crashGrid');
+const livesGrid = document.getElementById('livesGrid');
+const splitGrid = document.getElementById('splitGrid');
+const guessGrid = document.getElementById('guessGrid');
+const matchGrid = document.getElementById('matchGrid');
+const piecesGrid = document.getElementById('piecesGrid');
+const imageStorageGrid = document.getElementById('imageStorageGrid');
+const assembleInput = document.getElementById('assembleInput');
+const matchFoldInput = document.getElementById('matchFoldInput');
+const matchHintInput = document.getElementById('matchHintInput');
+const clueInput = document.getElementById('clueInput');
+const clueRevealInput = document.getElementById('clueRevealInput');
+const messageInput = document.getElementById('messageInput');
+const senderNameInput = document.getElementById('senderNameInput');
+const passwordInput = document.getElementById('passwordInput');
 const errorMessage = document.getElementById('errorMessage');
 const shareTwitterBtn = document.getElementById('shareTwitterBtn');
 const shareWhatsAppBtn = document.getElementById('shareWhatsAppBtn');
@@ -24,19 +46,37 @@ const imagePreview = document.getElementById('imagePreview');
 const imagePreviewWrap = document.getElementById('imagePreviewWrap');
 const removeImageBtn = document.getElementById('removeImageBtn');
 
+// Campaign elements
+const stageList = document.getElementById('stageList');
+const addStageBtn = document.getElementById('addStageBtn');
+
 // Validation constants
 const MIN_PHRASE_LENGTH = 2;
 const MAX_PHRASE_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_NAME_LENGTH = 40;
 
-// Track selected emoji and theme
+// Track selected emoji, theme, difficulty, ramp, crash mode, lives, split mode, guess budget, matching, piece count and image storage
 let selectedEmoji = '🐦';
 let selectedTheme = 'classic';
+let selectedDifficulty = 'normal';
+let selectedRamp = '';
+let selectedCrashMode = 'classic';
+let selectedLives = 1;
+let selectedSplit = 'letter';
+let selectedGuesses = 0; // 0 = unlimited
+let selectedMatch = 'lenient';
+let selectedPieces = DEFAULT_PIECES;
+let selectedImageStorage = 'upload';
 let currentGameUrl = '';
 
 // Active tab and selected image file
 let activeTab = 'text';
 let selectedFile = null;
 
+// Puzzles queued as campaign stages (phrases unencrypted until the link is generated)
+let campaignStages = [];
+
 // Handle emoji grid selection
 emojiGrid.addEventListener('click', (e) => {
   const option = e.target.closest('.emoji-option');
@@ -58,7 +98,7 @@ customEmojiInput.addEventListener('input', (e) => {
     emojiGrid.querySelectorAll('.emoji-option').forEach(btn => btn.classList.remove('selected'));
     customEmojiInput.classList.add('selected');
     // Take first emoji/character
-    selectedEmoji = [...value][0];
+    selectedEmoji = splitGraphemes(value)[0];
   }
 });
 
@@ -72,7 +112,7 @@ customEmojiInput.addEventListener('focus', () => {
 // Handle theme grid selection
 themeGrid.addEventListener('click', (e) => {
   const option = e.target.closest('.theme-option');
-  if (!option || option.classList.contains('disabled')) return;
+  if (!option) return;
 
   // Update selection
   themeGrid.querySelectorAll('.theme-option').forEach(btn => btn.classList.remove('selected'));
@@ -80,18 +120,104 @@ themeGrid.addEventListener('click', (e) => {
   selectedTheme = option.dataset.theme;
 });
 
-// Disable / re-enable non-classic themes (image mode only supports classic for now)
-function setThemesDisabled(disabled) {
-  themeGrid.querySelectorAll('.theme-option').forEach(btn => {
-    if (btn.dataset.theme === 'classic') return;
-    btn.classList.toggle('disabled', disabled);
-    if (disabled && btn.classList.contains('selected')) {
-      btn.classList.remove('selected');
-      themeGrid.querySelector('[data-theme="classic"]').classList.add('selected');
-      selectedTheme = 'classic';
-    }
-  });
-}
+// Handle difficulty grid selection
+difficultyGrid.addEventListener('click', (e) => {
+  const option = e.target.closest('.theme-option');
+  if (!option) return;
+
+  // Update selection
+  difficultyGrid.querySelectorAll('.theme-option').forEach(btn => btn.classList.remove('selected'));
+  option.classList.add('selected');
+  selectedDifficulty = option.dataset.difficulty;
+});
+
+// Handle ramp grid selection
+rampGrid.addEventListener('click', (e) => {
+  const option = e.target.closest('.theme-option');
+  if (!option) return;
+
+  // Update selection
+  rampGrid.querySelectorAll('.theme-option').forEach(btn => btn.classList.remove('selected'));
+  option.classList.add('selected');
+  selectedRamp = option.dataset.ramp;
+});
+
+// Handle crash mode grid selection
+crashGrid.addEventListener('click', (e) => {
+  const option = e.target.closest('.theme-option');
+  if (!option) return;
+
+  // Update selection
+  crashGrid.querySelectorAll('.theme-option').forEach(btn => btn.classList.remove('selected'));
+  option.classList.add('selected');
+  selectedCrashMode = option.dataset.crash;
+});
+
+// Handle lives grid selection
+livesGrid.addEventListener('click', (e) => {
+  const option = e.target.closest('.theme-option');
+  if (!option) return;
+
+  // Update selection
+  livesGrid.querySelectorAll('.theme-option').forEach(btn => btn.classList.remove('selected'));
+  option.classList.add('selected');
+  selectedLives = parseInt(option.dataset.lives, 10);
+});
+
+// Handle split mode grid selection (text mode only)
+splitGrid.addEventListener('click', (e) => {
+  const option = e.target.closest('.theme-option');
+  if (!option) return;
+
+  // Update selection
+  splitGrid.querySelectorAll('.theme-option').forEach(btn => btn.classList.remove('selected'));
+  option.classList.add('selected');
+  selectedSplit = option.dataset.split;
+});
+
+// Handle guess budget grid selection (text mode only)
+guessGrid.addEventListener('click', (e) => {
+  const option = e.target.closest('.theme-option');
+  if (!option) return;
+
+  // Update selection
+  guessGrid.querySelectorAll('.theme-option').forEach(btn => btn.classList.remove('selected'));
+  option.classList.add('selected');
+  selectedGuesses = parseInt(option.dataset.guesses, 10);
+});
+
+// Handle guess matching grid selection (text mode only)
+matchGrid.addEventListener('click', (e) => {
+  const option = e.target.closest('.theme-option');
+  if (!option) return;
+
+  // Update selection
+  matchGrid.querySelectorAll('.theme-option').forEach(btn => btn.classList.remove('selected'));
+  option.classList.add('selected');
+  selectedMatch = option.dataset.match;
+});
+
+// Handle piece count grid selection (image mode only)
+piecesGrid.addEventListener('click', (e) => {
+  const option = e.target.closest('.theme-option');
+  if (!option) return;
+
+  // Update selection
+  piecesGrid.querySelectorAll('.theme-option').forEach(btn => btn.classList.remove('selected'));
+  option.classList.add('selected');
+  selectedPieces = parseInt(option.dataset.pieces, 10);
+});
+
+// Handle image storage selection: upload to the image host, or embed in the link
+imageStorageGrid.addEventListener('click', (e) => {
+  const option = e.target.closest('.theme-option');
+  if (!option) return;
+
+  // Update selection
+  imageStorageGrid.querySelectorAll('.theme-option').forEach(btn => btn.classList.remove('selected'));
+  option.classList.add('selected');
+  selectedImageStorage = option.dataset.storage;
+});
 
 // --- Tab switching ---
 tabBtns.forEach(btn => {
@@ -104,7 +230,6 @@ tabBtns.forEach(btn => {
     textTabContent.classList.toggle('hidden', tab !== 'text');
     imageTabContent.classList.toggle('hidden', tab !== 'image');
 
-    setThemesDisabled(tab === 'image');
     hideError();
     linkSection.classList.add('hidden');
   });
@@ -139,11 +264,12 @@ function validatePhrase(phrase) {
     return 'Please enter a word or phrase';
   }
 
-  if (phrase.length < MIN_PHRASE_LENGTH) {
+  const length = countGraphemes(phrase);
+  if (length < MIN_PHRASE_LENGTH) {
     return `Phrase must be at least ${MIN_PHRASE_LENGTH} characters`;
   }
 
-  if (phrase.length > MAX_PHRASE_LENGTH) {
+  if (length > MAX_PHRASE_LENGTH) {
     return `Phrase must be ${MAX_PHRASE_LENGTH} characters or less`;
   }
 
@@ -155,6 +281,23 @@ function validatePhrase(phrase) {
   return null; // No error
 }
 
+// Validate the optional personal message and sender name
+function validateMessage(message, senderName) {
+  if (countGraphemes(message) > MAX_MESSAGE_LENGTH) {
+    return `Message must be ${MAX_MESSAGE_LENGTH} characters or less`;
+  }
+
+  if (countGraphemes(senderName) > MAX_NAME_LENGTH) {
+    return `Name must be ${MAX_NAME_LENGTH} characters or less`;
+  }
+
+  if (senderName && !message) {
+    return 'Please write a message to go with your name';
+  }
+
+  return null; // No error
+}
+
 // Validate emoji input
 function validateEmoji(emoji) {
   if (!emoji) {
@@ -174,48 +317,191 @@ function hideError() {
   errorMessage.classList.add('hidden');
 }
 
-// Generate link when button is clicked (async for image upload)
-generateBtn.addEventListener('click', async () => {
-  // Shared emoji validation
-  const emoji = customEmojiInput.value ? [...customEmojiInput.value][0] : selectedEmoji;
-  const emojiError = validateEmoji(emoji);
-  if (emojiError) { showError(emojiError); return; }
-
-  hideError();
+// Whether the form currently holds a puzzle (a phrase or a picked image)
+function hasPuzzleInForm() {
+  return activeTab === 'text' ? phraseInput.value.trim() !== '' : !!selectedFile;
+}
 
-  const baseUrl = window.location.origin + window.location.pathname.replace('sender.html', '');
+// Build a stage from the puzzle in the form: phrase or image, theme and clue.
+// Image stages are uploaded (or shrunk for embedding) here. Throws with a user-facing message if invalid.
+async function buildStage() {
+  const clue = clueInput.value.trim();
+  const stage = {
+    theme: selectedTheme,
+    clue: clue || undefined,
+    clueReveal: clue && clueRevealInput.checked ? true : undefined
+  };
 
   if (activeTab === 'text') {
     // --- Text mode (existing logic) ---
     const phrase = phraseInput.value.trim();
     const phraseError = validatePhrase(phrase);
-    if (phraseError) { showError(phraseError); return; }
+    if (phraseError) throw new Error(phraseError);
+
+    stage.phrase = phrase; // Encrypted when the link is generated
+    stage.split = selectedSplit !== 'letter' ? selectedSplit : undefined;
+    stage.guesses = selectedGuesses > 0 ? selectedGuesses : undefined;
+    stage.match = selectedMatch !== 'lenient' ? selectedMatch : undefined;
+    stage.matchFold = selectedMatch === 'lenient' && matchFoldInput.checked ? true : undefined;
+    stage.matchHint = selectedMatch === 'lenient' && matchHintInput.checked ? true : undefined;
+    return stage;
+  }
+
+  // --- Image mode ---
+  if (!selectedFile) {
+    throw new Error('Please select an image first.');
+  }
 
-    const encoded = encodeToUrlSafe(phrase);
-    currentGameUrl = `${baseUrl}game.html?p=${encoded}&e=${encodeURIComponent(emoji)}&t=${selectedTheme}`;
+  stage.mode = 'img';
+  stage.pieces = selectedPieces !== DEFAULT_PIECES ? selectedPieces : undefined;
+  stage.assemble = assembleInput.checked ? true : undefined;
+  if (selectedImageStorage === 'embed') {
+    stage.embeddedImage = await encodeEmbeddedImage(selectedFile); // Moved into the link's #fragment on generate
   } else {
-    // --- Image mode ---
-    if (!selectedFile) {
-      showError('Please select an image first.');
-      return;
-    }
+    stage.image = await uploadImage(selectedFile);
+  }
+  return stage;
+}
+
+// Loading label for buildStage()
+function getBuildLabel() {
+  return activeTab === 'image' && selectedImageStorage === 'embed' ? 'Shrinking image…' : 'Uploading…';
+}
 
-    // Show loading state
-    generateBtn.textContent = 'Uploading…';
-    generateBtn.disabled = true;
+// Run an async button action with a loading label (image uploads can take a while)
+async function withLoadingState(button, label, action) {
+  const originalLabel = button.textContent;
+  button.textContent = label;
+  button.disabled = true;
+  try {
+    return await action();
+  } finally {
+    button.textContent = originalLabel;
+    button.disabled = false;
+  }
+}
 
+// Show the campaign's queued stages
+function renderStageList() {
+  stageList.innerHTML = '';
+  campaignStages.forEach((stage, i) => {
+    const item = document.createElement('li');
+    item.className = 'stage-item';
+
+    const label = document.createElement('span');
+    label.className = 'stage-label';
+    label.textContent = `${i + 1}. ${stage.mode === 'img' ? `🖼️ Image, ${stage.pieces || DEFAULT_PIECES} pieces${stage.embeddedImage ? ', in the link' : ''}` : `📝 ${stage.phrase}`}`;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'remove-btn';
+    removeBtn.textContent = '✕';
+    removeBtn.setAttribute('aria-label', `Remove stage ${i + 1}`);
+    removeBtn.addEventListener('click', () => {
+      campaignStages.splice(i, 1);
+      renderStageList();
+    });
+
+    item.append(label, removeBtn);
+    stageList.appendChild(item);
+  });
+  stageList.classList.toggle('hidden', campaignStages.length === 0);
+  addStageBtn.disabled = campaignStages.length >= MAX_STAGES - 1; // Leave room for the form's puzzle
+}
+
+// Queue the form's puzzle as a campaign stage and clear the form for the next one
+addStageBtn.addEventListener('click', async () => {
+  hideError();
+  try {
+    const stage = await withLoadingState(addStageBtn, getBuildLabel(), buildStage);
+    campaignStages.push(stage);
+  } catch (err) {
+    showError(err.message);
+    return;
+  }
+
+  phraseInput.value = '';
+  clueInput.value = '';
+  clueRevealInput.checked = false;
+  removeImageBtn.click();
+  renderStageList();
+  linkSection.classList.add('hidden');
+});
+
+// Generate link when button is clicked (async for image upload)
+generateBtn.addEventListener('click', async () => {
+  // Shared emoji validation
+  const emoji = customEmojiInput.value ? splitGraphemes(customEmojiInput.value)[0] : selectedEmoji;
+  const emojiError = validateEmoji(emoji);
+  if (emojiError) { showError(emojiError); return; }
+
+  // Shared personal message validation
+  const message = messageInput.value.trim();
+  const senderName = senderNameInput.value.trim();
+  const messageError = validateMessage(message, senderName);
+  if (messageError) { showError(messageError); return; }
+
+  // Passwords need WebCrypto (only available on https / localhost)
+  const password = passwordInput.value;
+  if (password && !canEncrypt()) {
+    showError('Password protection needs a secure (https) connection.');
+    return;
+  }
+
+  hideError();
+
+  // Queued campaign stages, then the form's puzzle (required unless stages are queued)
+  const stages = [...campaignStages];
+  if (hasPuzzleInForm() || stages.length === 0) {
     try {
-      const displayUrl = await uploadImage(selectedFile);
-      currentGameUrl = `${baseUrl}game.html?m=img&i=${encodeURIComponent(displayUrl)}&e=${encodeURIComponent(emoji)}&t=${selectedTheme}`;
+      stages.push(await withLoadingState(generateBtn, getBuildLabel(), buildStage));
     } catch (err) {
       showError(err.message);
       return;
-    } finally {
-      generateBtn.textContent = 'Generate Link';
-      generateBtn.disabled = false;
     }
   }
 
+  // Secrets are encrypted so the answer can't be read straight out of the link.
+  // One salt per link, so players' campaigns can keep a single derived key between stages
+  const linkSalt = canEncrypt() ? createLinkSalt() : null;
+  const encodeSecret = text => (linkSalt ? encryptToUrlSafe(text, password, linkSalt) : encodeToUrlSafe(text));
+  const encodedStages = await Promise.all(stages.map(async stage => (
+    stage.phrase ? { ...stage, phrase: await encodeSecret(stage.phrase) } : stage
+  )));
+
+  // Embedded pictures travel in the #fragment; their stages just point at them
+  const embeddedImages = [];
+  const linkStages = encodedStages.map(({ embeddedImage, ...stage }) => {
+    if (!embeddedImage) return stage;
+    embeddedImages.push(embeddedImage);
+    return { ...stage, image: getEmbeddedImageRef(embeddedImages.length - 1) };
+  });
+
+  const baseUrl = window.location.origin + window.location.pathname.replace('sender.html', '');
+
+  // Everything goes into one compressed payload; defaults are left out to keep links short
+  const config = {
+    emoji,
+    difficulty: selectedDifficulty,
+    ramp: selectedRamp || undefined,
+    crashMode: selectedCrashMode !== 'classic' ? selectedCrashMode : undefined,
+    lives: selectedLives > 1 ? selectedLives : undefined,
+    message: message ? await encodeSecret(message) : undefined,
+    senderName: message && senderName ? await encodeSecret(senderName) : undefined,
+    // Fresh seed per link – everyone who opens it plays the same course
+    seed: encodeSeed(randomSeed())
+  };
+  if (linkStages.length === 1) {
+    Object.assign(config, linkStages[0]);
+  } else {
+    config.stages = linkStages;
+  }
+
+  currentGameUrl = `${baseUrl}game.html?${PAYLOAD_PARAM}=${await encodeLinkPayload(config)}`;
+  if (embeddedImages.length > 0) {
+    currentGameUrl += `#${buildImageFragment(embeddedImages)}`;
+  }
+
   // Display the link
   generatedLink.value = currentGameUrl;
   linkSection.classList.remove('hidden');
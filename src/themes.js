@@ -1,6 +1,6 @@
 /**
  * Theme configuration for Birdle game
- * Defines visual styles for obstacles, backgrounds, clouds, collectibles, and trails
+ * Defines visual styles for obstacles, backgrounds, clouds, collectibles, trails and the HUD
  */
 
 export const THEMES = {
@@ -38,6 +38,11 @@ export const THEMES = {
     trail: {
       color: '#5B9BD5',
       glowColor: '#FFD93D'
+    },
+
+    hud: {
+      background: 'rgba(30, 58, 95, 0.95)',
+      accent: '#7EC8E3' // Labels, timer and the image-mode frames
     }
   },
 
@@ -76,6 +81,11 @@ export const THEMES = {
     trail: {
       color: '#FF4500',
       glowColor: '#DC143C'
+    },
+
+    hud: {
+      background: 'rgba(42, 0, 0, 0.95)',
+      accent: '#FF6347'
     }
   },
 
@@ -114,6 +124,11 @@ export const THEMES = {
     trail: {
       color: '#00CED1',
       glowColor: '#4A90E2'
+    },
+
+    hud: {
+      background: 'rgba(0, 47, 87, 0.95)',
+      accent: '#00CED1'
     }
   },
 
@@ -157,6 +172,11 @@ export const THEMES = {
     trail: {
       color: '#00FFFF',
       glowColor: '#00CED1'
+    },
+
+    hud: {
+      background: 'rgba(10, 10, 26, 0.95)',
+      accent: '#9370DB'
     }
   }
 };
@@ -0,0 +1,31 @@
+/**
+ * Grapheme (user-perceived character) utilities
+ *
+ * String.split('') and even [...str] break emoji sequences (👨‍👩‍👧, 👍🏽, flags)
+ * and letters with combining marks (Hindi, Thai) into pieces that can't be
+ * drawn on their own. These helpers split on grapheme cluster boundaries with
+ * Intl.Segmenter, falling back to code points where it isn't available.
+ */
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+/**
+ * Split a string into grapheme clusters
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function splitGraphemes(text) {
+  if (!segmenter) return Array.from(text);
+  return Array.from(segmenter.segment(text), segment => segment.segment);
+}
+
+/**
+ * Count grapheme clusters in a string
+ * @param {string} text
+ * @returns {number}
+ */
+export function countGraphemes(text) {
+  return splitGraphemes(text).length;
+}
@@ -0,0 +1,114 @@
+/**
+ * Link-embedded images – the upload-free alternative to imgbbUpload.js.
+ *
+ * The picture is shrunk hard and re-encoded (WebP, or JPEG where the browser
+ * can't write WebP), then carried in the link's #fragment, so the puzzle
+ * needs no image host and never expires. The bytes are already compressed,
+ * so they stay out of the `z` payload, and fragments never reach a server.
+ *
+ * A stage's `image` is then `embed:<n>`, pointing at the fragment's `i<n>`
+ * (campaigns can embed several pictures in one link).
+ */
+
+import { bytesToUrlSafe, urlSafeToBytes } from './urlEncoding.js';
+import { resizeImage } from './imageProcessor.js';
+
+const EMBED_PREFIX = 'embed:';
+const MAX_EMBED_BYTES = 12 * 1024; // Per image; keeps links pasteable in chat apps
+const MAX_SIDES = [240, 200, 160, 128]; // Longest side, largest first
+const QUALITIES = [0.6, 0.45, 0.3];
+
+// First character of the embedded data says how to decode the rest
+const FORMATS = {
+  w: 'image/webp',
+  j: 'image/jpeg'
+};
+
+/**
+ * Encode a canvas, preferring WebP
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} quality
+ * @returns {Promise<Blob>}
+ */
+async function canvasToBlob(canvas, quality) {
+  const toBlob = type => new Promise(resolve => canvas.toBlob(resolve, type, quality));
+  const webp = await toBlob(FORMATS.w);
+  // Browsers that can't write WebP hand back a PNG instead
+  return webp?.type === FORMATS.w ? webp : toBlob(FORMATS.j);
+}
+
+/**
+ * Shrink an image file until it fits in a link
+ * @param {File} file
+ * @returns {Promise<string>} Data for buildImageFragment()
+ */
+export async function encodeEmbeddedImage(file) {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    throw new Error('Could not read that image. Please try another one.');
+  }
+
+  try {
+    for (const side of MAX_SIDES) {
+      const canvas = resizeImage(bitmap, side, side);
+      for (const quality of QUALITIES) {
+        const blob = await canvasToBlob(canvas, quality);
+        if (blob && blob.size <= MAX_EMBED_BYTES) {
+          const format = blob.type === FORMATS.w ? 'w' : 'j';
+          return format + bytesToUrlSafe(new Uint8Array(await blob.arrayBuffer()));
+        }
+      }
+    }
+  } finally {
+    bitmap.close();
+  }
+
+  throw new Error('This image has too much detail to fit in the link. Please upload it instead.');
+}
+
+/**
+ * Reference to the n-th embedded image, for a stage's `image` field
+ * @param {number} index
+ * @returns {string}
+ */
+export function getEmbeddedImageRef(index) {
+  return EMBED_PREFIX + index;
+}
+
+/**
+ * Whether a stage's `image` points into the link's fragment
+ * @param {string} image
+ * @returns {boolean}
+ */
+export function isEmbeddedImage(image) {
+  return typeof image === 'string' && image.startsWith(EMBED_PREFIX);
+}
+
+/**
+ * Build the link fragment (without '#') carrying the embedded images
+ * @param {string[]} images - From encodeEmbeddedImage(), in reference order
+ * @returns {string}
+ */
+export function buildImageFragment(images) {
+  return images.map((data, i) => `i${i}=${data}`).join('&');
+}
+
+/**
+ * Turn an embedded image reference back into a loadable URL
+ * @param {string} image - An `embed:<n>` reference
+ * @param {string} [hash=window.location.hash]
+ * @returns {string|null} Object URL, or null if the fragment doesn't hold the image (e.g. a cut-off link)
+ */
+export function getEmbeddedImageUrl(image, hash = window.location.hash) {
+  const data = new URLSearchParams(hash.slice(1)).get(`i${image.slice(EMBED_PREFIX.length)}`);
+  const type = data && FORMATS[data[0]];
+  if (!type) return null;
+
+  try {
+    return URL.createObjectURL(new Blob([urlSafeToBytes(data.slice(1))], { type }));
+  } catch {
+    return null; // Not valid base64
+  }
+}
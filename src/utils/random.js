@@ -0,0 +1,85 @@
+/**
+ * Seedable random number utilities
+ *
+ * Every source of course randomness takes an `rng` function with the same
+ * contract as Math.random() (returns a float in [0, 1)), so a seeded generator
+ * can be dropped in wherever Math.random() was used before.
+ *
+ * Usage:
+ *   import { createRng, deriveSeed } from './utils/random.js';
+ *
+ *   const rng = createRng(deriveSeed(seed, 'course'));
+ *   const gapY = MIN_GAP_Y + rng() * range;
+ */
+
+/**
+ * Create a deterministic PRNG (mulberry32) from a 32-bit seed
+ * @param {number} seed - Unsigned 32-bit integer seed
+ * @returns {() => number} Function returning floats in [0, 1)
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return function rng() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Hash a string into a 32-bit seed (FNV-1a)
+ * @param {string} str
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function hashString(str) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Derive an independent seed for a named stream (e.g. 'course', 'world', 'fx')
+ * so cosmetic randomness never shifts the course layout
+ * @param {number} seed - Base seed
+ * @param {string} stream - Stream name
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function deriveSeed(seed, stream) {
+  return hashString(`${seed >>> 0}:${stream}`);
+}
+
+/**
+ * Pick a fresh random seed (used when creating a new puzzle link)
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function randomSeed() {
+  if (window.crypto?.getRandomValues) {
+    return window.crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Encode a seed for the share URL (compact base36)
+ * @param {number} seed
+ * @returns {string}
+ */
+export function encodeSeed(seed) {
+  return (seed >>> 0).toString(36);
+}
+
+/**
+ * Decode a seed from the share URL
+ * @param {string|null} encoded
+ * @returns {number|null} Seed, or null if missing/invalid
+ */
+export function decodeSeed(encoded) {
+  if (!encoded || !/^[0-9a-z]{1,7}$/i.test(encoded)) return null;
+  const seed = parseInt(encoded, 36);
+  return seed <= 0xFFFFFFFF ? seed >>> 0 : null;
+}
@@ -0,0 +1,49 @@
+/**
+ * Text direction (bidi) utilities
+ *
+ * Direction follows the first strong character, like dir="auto": a phrase
+ * starting with Hebrew, Arabic, Persian, Urdu, Syriac, Thaana, N'Ko, ...
+ * is right-to-left. Mixed-direction phrases keep each word in its own
+ * direction by wrapping it in an isolate.
+ */
+
+const RTL_CHAR = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Samaritan}\p{Script=Mandaic}\p{Script=Adlam}\p{Script=Hanifi_Rohingya}\p{Script=Yezidi}]/u;
+const STRONG_CHAR = /[\p{L}\p{M}]/u;
+
+// Unicode isolate controls (invisible)
+const LRI = '\u2066';
+const RLI = '\u2067';
+const PDI = '\u2069';
+
+/**
+ * Get the base direction of a text from its first strong character
+ * @param {string} text
+ * @returns {'rtl'|'ltr'} Direction (ltr when there are no strong characters)
+ */
+export function getTextDirection(text) {
+  for (const char of text) {
+    if (RTL_CHAR.test(char)) return 'rtl';
+    if (STRONG_CHAR.test(char)) return 'ltr';
+  }
+  return 'ltr';
+}
+
+/**
+ * Wrap each space-separated word of a display string in a directional isolate,
+ * taking each word's direction from the matching word of a reference text.
+ * Keeps partly hidden words ("__llo") from being reordered by the surrounding text.
+ * @param {string} display - Text to show (same word layout as the reference)
+ * @param {string} reference - Full text the directions are taken from
+ * @returns {string}
+ */
+export function isolateWords(display, reference) {
+  const referenceWords = reference.split(' ');
+  return display
+    .split(' ')
+    .map((word, i) => {
+      if (!word) return word;
+      const isolate = getTextDirection(referenceWords[i] || word) === 'rtl' ? RLI : LRI;
+      return `${isolate}${word}${PDI}`;
+    })
+    .join(' ');
+}
@@ -0,0 +1,111 @@
+/**
+ * Guess matching utilities
+ *
+ * Strict matching only ignores case. Lenient matching also folds accents
+ * (Café → cafe) and ignores punctuation and extra whitespace, so "cafe"
+ * matches "Café!", "dont stop" matches "Don't stop!" and "rocknroll" matches
+ * "rock'n'roll". Dashes may be typed or left out either way: "email" and
+ * "e-mail" match, as do "well being" and "well-being". Emoji and other
+ * symbols are kept. On top of lenient, the
+ * creator can opt into script folding (Hebrew niqqud, Arabic harakat, Greek
+ * final sigma) and "so close!" hints for typos.
+ */
+
+import { splitGraphemes } from './graphemes.js';
+
+export const MATCH_MODES = ['strict', 'lenient'];
+
+// Combining marks that only decorate a base letter. Other scripts' marks
+// (e.g. Hindi vowel signs) change the letter and are kept.
+const ACCENT_MARKS = /[\u0300-\u036F]/g; // Latin/Greek/Cyrillic diacritics
+const SCRIPT_MARKS = /[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7\u064B-\u065F\u0670]/g; // Hebrew niqqud and cantillation, Arabic harakat
+const DASHES = /\p{Pd}/gu;
+const PUNCTUATION = /\p{P}/gu;
+const WHITESPACE = /\s+/g;
+
+/**
+ * Normalize a phrase or guess for comparison
+ * @param {string} text
+ * @param {'strict'|'lenient'} [mode='strict']
+ * @param {Object} [options]
+ * @param {boolean} [options.foldScripts=false] - Lenient only: drop niqqud/harakat, fold final sigma
+ * @param {boolean} [options.dashAsSpace=false] - Lenient only: dashes separate words instead of vanishing
+ * @returns {string}
+ */
+export function normalizeForMatch(text, mode = 'strict', { foldScripts = false, dashAsSpace = false } = {}) {
+  if (mode !== 'lenient') {
+    return text.normalize('NFC').toLowerCase().trim();
+  }
+
+  let folded = text
+    .normalize('NFKD')
+    .replace(ACCENT_MARKS, '')
+    .toLowerCase();
+  if (foldScripts) {
+    folded = folded.replace(SCRIPT_MARKS, '').replace(/ς/g, 'σ');
+  }
+
+  return folded
+    .replace(DASHES, dashAsSpace ? ' ' : '')
+    .replace(PUNCTUATION, '')
+    .replace(WHITESPACE, ' ')
+    .trim()
+    .normalize('NFC');
+}
+
+/**
+ * Edit distance between two strings, counted in user-perceived characters
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function levenshtein(a, b) {
+  const left = splitGraphemes(a);
+  const right = splitGraphemes(b);
+
+  let previous = Array.from({ length: right.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= left.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= right.length; j++) {
+      const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[right.length];
+}
+
+/**
+ * Compare a guess with the answer
+ * @param {string} guess
+ * @param {string} answer
+ * @param {'strict'|'lenient'} [mode='strict']
+ * @param {Object} [options]
+ * @param {boolean} [options.foldScripts=false] - See normalizeForMatch()
+ * @param {boolean} [options.closeHint=false] - Lenient only: report near misses as 'close'
+ * @returns {'match'|'close'|'miss'} 'close' = a typo or two away
+ */
+export function matchGuess(guess, answer, mode = 'strict', { foldScripts = false, closeHint = false } = {}) {
+  const normalizedAnswer = normalizeForMatch(answer, mode, { foldScripts });
+  // An answer that is all punctuation has nothing left to compare leniently
+  if (!normalizedAnswer) {
+    return mode === 'lenient' ? matchGuess(guess, answer, 'strict') : 'miss';
+  }
+
+  const normalizedGuess = normalizeForMatch(guess, mode, { foldScripts });
+  if (normalizedGuess === normalizedAnswer) return 'match';
+
+  // "well being" for "well-being": try again with dashes as word breaks
+  if (mode === 'lenient' && normalizeForMatch(guess, mode, { foldScripts, dashAsSpace: true })
+    === normalizeForMatch(answer, mode, { foldScripts, dashAsSpace: true })) {
+    return 'match';
+  }
+
+  if (mode === 'lenient' && closeHint) {
+    // Allow roughly one typo per seven characters (at least one)
+    const allowed = Math.max(1, Math.floor(splitGraphemes(normalizedAnswer).length / 7));
+    if (levenshtein(normalizedGuess, normalizedAnswer) <= allowed) return 'close';
+  }
+
+  return 'miss';
+}
@@ -59,3 +59,386 @@ export function decodeFromUrlSafe(encoded) {
   const decoder = new TextDecoder();
   return decoder.decode(bytes);
 }
+
+/*
+ * Encrypted link values
+ *
+ * Plain base64 lets anyone read the answer straight out of the link, so new
+ * links carry secrets (phrase, personal message) encrypted with AES-GCM:
+ *
+ *   e1.<url-safe base64 of: flags(1) | salt(16) | iv(12) | ciphertext>
+ *
+ * The key is derived with PBKDF2 from a per-link salt plus an optional creator
+ * password (flag bit 0). All values of a link share the salt, so the derived
+ * key (see exportLinkKey) opens every one of them without the password. Without a password this is obfuscation - the link
+ * still holds everything needed to decrypt - but the answer no longer shows
+ * up in a base64 decoder. Values without the "e1." prefix are legacy plain
+ * base64 and still decode as before ('.' never occurs in url-safe base64).
+ */
+
+const ENCRYPTED_PREFIX = 'e1.';
+const FLAG_PASSWORD = 1;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const PBKDF2_ITERATIONS = 100000;
+const LINK_KEY_PEPPER = 'birdle-link-v1';
+
+/**
+ * Convert bytes to URL-safe base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToUrlSafe(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+}
+
+/**
+ * Convert URL-safe base64 to bytes
+ * @param {string} encoded
+ * @returns {Uint8Array}
+ */
+export function urlSafeToBytes(encoded) {
+  let base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  while (base64.length % 4 !== 0) {
+    base64 += '=';
+  }
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Derive the AES-GCM key for a link value
+ * @param {Uint8Array} salt
+ * @param {string} password - Creator password ('' when none)
+ * @param {boolean} [extractable=false] - Whether exportLinkKey() may read the raw key
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveLinkKey(salt, password, extractable = false) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(`${LINK_KEY_PEPPER}:${password}`),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    extractable,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Split an encrypted link value into its parts
+ * @param {string} value - "e1."-prefixed value
+ * @returns {{flags: number, salt: Uint8Array, iv: Uint8Array, ciphertext: Uint8Array}}
+ */
+function parseEncryptedValue(value) {
+  const bytes = urlSafeToBytes(value.slice(ENCRYPTED_PREFIX.length));
+  return {
+    flags: bytes[0],
+    salt: bytes.slice(1, 1 + SALT_BYTES),
+    iv: bytes.slice(1 + SALT_BYTES, 1 + SALT_BYTES + IV_BYTES),
+    ciphertext: bytes.slice(1 + SALT_BYTES + IV_BYTES)
+  };
+}
+
+/**
+ * Import a key from exportLinkKey(), if it was derived with this salt
+ * @param {string} linkKey
+ * @param {Uint8Array} salt
+ * @returns {Promise<CryptoKey|null>}
+ */
+async function importLinkKey(linkKey, salt) {
+  const bytes = urlSafeToBytes(linkKey);
+  const keySalt = bytes.slice(0, SALT_BYTES);
+  if (keySalt.length !== salt.length || keySalt.some((byte, i) => byte !== salt[i])) return null;
+  return crypto.subtle.importKey('raw', bytes.slice(SALT_BYTES), 'AES-GCM', false, ['decrypt']);
+}
+
+/**
+ * Check whether link encryption is available (WebCrypto needs a secure context)
+ * @returns {boolean}
+ */
+export function canEncrypt() {
+  return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+/**
+ * Check whether a link value is encrypted (vs. legacy plain base64)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Check whether an encrypted link value needs the creator's password
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isPasswordProtected(value) {
+  if (!isEncrypted(value)) return false;
+  try {
+    return (parseEncryptedValue(value).flags & FLAG_PASSWORD) !== 0;
+  } catch (error) {
+    return false; // Corrupt value - decoding will report it
+  }
+}
+
+/**
+ * Create the salt shared by all encrypted values of one link
+ * @returns {Uint8Array}
+ */
+export function createLinkSalt() {
+  return crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+}
+
+/**
+ * Encrypt text into a URL-safe link value
+ * @param {string} text - The text to encrypt
+ * @param {string} [password=''] - Optional creator password the player must enter
+ * @param {Uint8Array} [salt] - The link's salt (from createLinkSalt()); a fresh one if left out
+ * @returns {Promise<string>} "e1."-prefixed value
+ */
+export async function encryptToUrlSafe(text, password = '', salt = createLinkSalt()) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveLinkKey(salt, password);
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text))
+  );
+
+  const bytes = new Uint8Array(1 + SALT_BYTES + IV_BYTES + ciphertext.length);
+  bytes[0] = password ? FLAG_PASSWORD : 0;
+  bytes.set(salt, 1);
+  bytes.set(iv, 1 + SALT_BYTES);
+  bytes.set(ciphertext, 1 + SALT_BYTES + IV_BYTES);
+  return ENCRYPTED_PREFIX + bytesToUrlSafe(bytes);
+}
+
+/**
+ * Derive the key that opens a link's values, so it can be kept instead of the password
+ * @param {string} value - An encrypted value from the link
+ * @param {string} [password=''] - Creator password, if the value is protected
+ * @returns {Promise<string>} Opaque key for decodeLinkValue()
+ * @throws {Error} If the password is wrong or the value is corrupt
+ */
+export async function exportLinkKey(value, password = '') {
+  try {
+    const { salt, iv, ciphertext } = parseEncryptedValue(value);
+    const key = await deriveLinkKey(salt, password, true);
+    await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext); // Check the password
+    const rawKey = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+
+    const bytes = new Uint8Array(SALT_BYTES + rawKey.length);
+    bytes.set(salt);
+    bytes.set(rawKey, SALT_BYTES);
+    return bytesToUrlSafe(bytes);
+  } catch (error) {
+    throw new Error('Could not decrypt link value (wrong password or corrupt link)');
+  }
+}
+
+/**
+ * Decode a link value: decrypts "e1." values, falls back to legacy plain base64
+ * @param {string} value - Value from the URL
+ * @param {string} [password=''] - Creator password, if the value is protected
+ * @param {string} [linkKey=''] - Key from exportLinkKey(); used instead of the password when it fits the value
+ * @returns {Promise<string>} Decoded text
+ * @throws {Error} If the password is wrong or the value is corrupt
+ */
+export async function decodeLinkValue(value, password = '', linkKey = '') {
+  if (!isEncrypted(value)) {
+    return decodeFromUrlSafe(value);
+  }
+
+  try {
+    const { salt, iv, ciphertext } = parseEncryptedValue(value);
+    const key = (linkKey && await importLinkKey(linkKey, salt)) || await deriveLinkKey(salt, password);
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    throw new Error('Could not decrypt link value (wrong password or corrupt link)');
+  }
+}
+
+/*
+ * Versioned link payload
+ *
+ * New links carry the whole puzzle config in one parameter:
+ *
+ *   ?z=<url-safe base64 of: version(1) | deflate-raw(JSON config)>
+ *
+ * Links made before the payload existed spread the config across loose query
+ * params (p, e, t, ...); those are treated as version 0 and migrated forward
+ * like any other old payload. To change the schema, bump PAYLOAD_VERSION and
+ * add a MIGRATIONS step from the previous version.
+ *
+ * Current (v2) fields:
+ *   phrase, message, senderName - link values (plain or encrypted, see decodeLinkValue)
+ *   emoji, theme, mode ('txt'|'img'), image (URL), difficulty, ramp, crashMode,
+ *   split, match, seed - strings
+ *   lives, guesses, pieces (image piece count) - numbers
+ *   clue - plain text, clueReveal, assemble (image assembly phase) - booleans
+ *   stages - optional list of puzzles played in order (see campaign.js)
+ */
+
+export const PAYLOAD_PARAM = 'z';
+export const PAYLOAD_VERSION = 2;
+
+// Field name -> loose query param used by version 0 links
+const LEGACY_PARAMS = {
+  phrase: 'p',
+  emoji: 'e',
+  theme: 't',
+  mode: 'm',
+  image: 'i',
+  difficulty: 'd',
+  ramp: 'r',
+  crashMode: 'c',
+  lives: 'l',
+  split: 'u',
+  guesses: 'g',
+  match: 'a',
+  clue: 'h',
+  clueReveal: 'v',
+  message: 'w',
+  senderName: 'n',
+  seed: 's'
+};
+
+// Each step upgrades a config from version N to N + 1
+const MIGRATIONS = {
+  // v0 -> v1: loose params to named fields; numbers were strings, the clue was
+  // base64 and the image URL was encoded twice
+  0: legacy => {
+    const config = {};
+    Object.entries(LEGACY_PARAMS).forEach(([field, param]) => {
+      if (legacy[param] != null) config[field] = legacy[param];
+    });
+
+    if (config.lives != null) config.lives = parseInt(config.lives, 10);
+    if (config.guesses != null) config.guesses = parseInt(config.guesses, 10);
+    config.clueReveal = config.clueReveal === '1';
+    if (config.clue != null) {
+      try {
+        config.clue = decodeFromUrlSafe(config.clue);
+      } catch (error) {
+        delete config.clue; // A broken clue shouldn't block the puzzle
+      }
+    }
+    if (config.image != null) {
+      try {
+        config.image = decodeURIComponent(config.image);
+      } catch (error) {
+        // Already decoded by URLSearchParams
+      }
+    }
+    return config;
+  },
+
+  // v1 -> v2: adds the optional `stages` list. Single-puzzle configs are unchanged;
+  // the bump makes older pages reject campaign links instead of playing stage 1 only
+  1: config => config
+};
+
+/**
+ * Upgrade a config to the current schema
+ * @param {Object} config - Config in an older (or the current) schema
+ * @param {number} version - Schema version of the config
+ * @returns {Object} Config in the current schema
+ */
+export function migrateLinkConfig(config, version) {
+  let migrated = config;
+  for (let v = version; v < PAYLOAD_VERSION; v++) {
+    migrated = MIGRATIONS[v](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Run bytes through a (de)compression stream
+ * @param {Uint8Array} bytes
+ * @param {CompressionStream|DecompressionStream} transform
+ * @returns {Promise<Uint8Array>}
+ */
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encode a puzzle config into a compressed, versioned payload
+ * @param {Object} config - Config in the current schema (undefined fields are dropped)
+ * @returns {Promise<string>} URL-safe value for the PAYLOAD_PARAM query param
+ */
+export async function encodeLinkPayload(config) {
+  const json = new TextEncoder().encode(JSON.stringify(config));
+  const compressed = await pipeBytes(json, new CompressionStream('deflate-raw'));
+
+  const bytes = new Uint8Array(1 + compressed.length);
+  bytes[0] = PAYLOAD_VERSION;
+  bytes.set(compressed, 1);
+  return bytesToUrlSafe(bytes);
+}
+
+/**
+ * Decode a compressed payload and migrate it to the current schema
+ * @param {string} payload - Value of the PAYLOAD_PARAM query param
+ * @returns {Promise<Object>} Config in the current schema
+ * @throws {Error} If the link is corrupt or was made by a newer version
+ */
+export async function decodeLinkPayload(payload) {
+  let bytes;
+  try {
+    bytes = urlSafeToBytes(payload);
+  } catch (error) {
+    bytes = new Uint8Array(0);
+  }
+
+  const version = bytes[0];
+  if (!version) {
+    throw new Error('This puzzle link is corrupt. Please check the URL.');
+  }
+  if (version > PAYLOAD_VERSION) {
+    throw new Error('This puzzle link was made with a newer version of Birdle. Try reloading the page.');
+  }
+
+  let config;
+  try {
+    const json = await pipeBytes(bytes.slice(1), new DecompressionStream('deflate-raw'));
+    config = JSON.parse(new TextDecoder().decode(json));
+  } catch (error) {
+    throw new Error('This puzzle link is corrupt. Please check the URL.');
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('This puzzle link is corrupt. Please check the URL.');
+  }
+
+  return migrateLinkConfig(config, version);
+}
+
+/**
+ * Read the puzzle config from a page's query string (payload or legacy params)
+ * @param {string} search - e.g. window.location.search
+ * @returns {Promise<Object>} Config in the current schema
+ * @throws {Error} If the payload is corrupt or from a newer version
+ */
+export async function readLinkConfig(search) {
+  const params = new URLSearchParams(search);
+  if (params.has(PAYLOAD_PARAM)) {
+    return decodeLinkPayload(params.get(PAYLOAD_PARAM));
+  }
+  return migrateLinkConfig(Object.fromEntries(params), 0);
+}
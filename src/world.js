@@ -5,11 +5,12 @@
 import { gradientCache } from './utils/gradientCache.js';
 
 export class World {
-  constructor(canvasWidth, canvasHeight, theme = null, isMobile = false, mobileStarCount = 50, mobileCloudReduction = 0.5) {
+  constructor(canvasWidth, canvasHeight, theme = null, isMobile = false, mobileStarCount = 50, mobileCloudReduction = 0.5, rng = Math.random) {
     this.canvasWidth = canvasWidth;
     this.canvasHeight = canvasHeight;
     this.theme = theme;
     this.isMobile = isMobile;
+    this.rng = rng; // Seeded so every player sees the same cloud/star layout
     console.log('World created with theme:', theme?.id, isMobile ? '(mobile mode)' : '');
 
     // Multiple cloud layers for parallax effect (reduced on mobile)
@@ -38,16 +39,20 @@ export class World {
   generateClouds(count, speedMultiplier, opacity, minSize, maxSize) {
     const clouds = [];
     for (let i = 0; i < count; i++) {
-      clouds.push({
-        x: Math.random() * this.canvasWidth * 1.5,
-        y: Math.random() * (this.canvasHeight * 0.6),
-        size: minSize + Math.random() * (maxSize - minSize),
-        speed: (0.3 + Math.random() * 0.4) * speedMultiplier,
+      const cloud = {
+        x: this.rng() * this.canvasWidth * 1.5,
+        y: this.rng() * (this.canvasHeight * 0.6),
+        size: minSize + this.rng() * (maxSize - minSize),
+        speed: (0.3 + this.rng() * 0.4) * speedMultiplier,
         opacity: opacity,
         // Slight vertical drift
-        yOffset: Math.random() * Math.PI * 2,
-        yDrift: 0.2 + Math.random() * 0.3
-      });
+        yOffset: this.rng() * Math.PI * 2,
+        yDrift: 0.2 + this.rng() * 0.3
+      };
+      // Previous-tick position for interpolated rendering
+      cloud.prevX = cloud.renderX = cloud.x;
+      cloud.prevY = cloud.renderY = cloud.y;
+      clouds.push(cloud);
     }
     return clouds;
   }
@@ -58,12 +63,12 @@ export class World {
   generateStars(count) {
     for (let i = 0; i < count; i++) {
       this.stars.push({
-        x: Math.random() * this.canvasWidth,
-        y: Math.random() * this.canvasHeight,
-        size: 1 + Math.random() * 2,
-        opacity: 0.3 + Math.random() * 0.7,
-        twinkleSpeed: 0.01 + Math.random() * 0.02,
-        twinkleOffset: Math.random() * Math.PI * 2
+        x: this.rng() * this.canvasWidth,
+        y: this.rng() * this.canvasHeight,
+        size: 1 + this.rng() * 2,
+        opacity: 0.3 + this.rng() * 0.7,
+        twinkleSpeed: 0.01 + this.rng() * 0.02,
+        twinkleOffset: this.rng() * Math.PI * 2
       });
     }
   }
@@ -94,13 +99,16 @@ export class World {
   }
 
   /**
-   * Update world (animate clouds/effects with parallax)
+   * Update world (animate clouds/effects with parallax) - one fixed tick
    */
   update() {
     const cloudType = this.theme?.clouds?.type || 'fluffy';
 
     this.cloudLayers.forEach(layer => {
       layer.forEach(cloud => {
+        cloud.prevX = cloud.x;
+        cloud.prevY = cloud.y;
+
         // Horizontal movement (bubbles rise instead for ocean theme)
         if (cloudType === 'bubbles') {
           cloud.y -= cloud.speed * 0.5; // Rise upward
@@ -118,12 +126,16 @@ export class World {
         if (cloudType === 'bubbles') {
           if (cloud.y + cloud.size < 0) {
             cloud.y = this.canvasHeight + cloud.size;
-            cloud.x = Math.random() * this.canvasWidth;
+            cloud.x = this.rng() * this.canvasWidth;
+            cloud.prevX = cloud.x; // Don't interpolate across the wrap
+            cloud.prevY = cloud.y;
           }
         } else {
           if (cloud.x + cloud.size * 2.5 < 0) {
             cloud.x = this.canvasWidth + cloud.size;
-            cloud.y = Math.random() * (this.canvasHeight * 0.6);
+            cloud.y = this.rng() * (this.canvasHeight * 0.6);
+            cloud.prevX = cloud.x; // Don't interpolate across the wrap
+            cloud.prevY = cloud.y;
           }
         }
       });
@@ -140,8 +152,9 @@ export class World {
   /**
    * Draw the world
    * @param {CanvasRenderingContext2D} ctx
+   * @param {number} [alpha=1] - Interpolation between the previous and current tick (0-1)
    */
-  draw(ctx) {
+  draw(ctx, alpha = 1) {
     // Sky gradient (use theme colors) - CACHED
     const skyColors = this.theme?.sky?.gradient || ['#87CEEB', '#B0E0F0', '#E0F6FF'];
 
@@ -172,9 +185,13 @@ export class World {
       this.drawStars(ctx);
     }
 
-    // Draw cloud layers (back to front)
+    // Draw cloud layers (back to front) at their interpolated positions
     const cloudType = this.theme?.clouds?.type || 'fluffy';
     this.cloudLayers.forEach(layer => {
+      layer.forEach(cloud => {
+        cloud.renderX = cloud.prevX + (cloud.x - cloud.prevX) * alpha;
+        cloud.renderY = cloud.prevY + (cloud.y - cloud.prevY) * alpha;
+      });
       this.drawCloudLayer(ctx, layer, cloudType);
     });
   }
@@ -242,17 +259,17 @@ export class World {
 
     clouds.forEach(cloud => {
       const yDrift = Math.sin(cloud.yOffset) * cloud.yDrift * 3;
-      const y = cloud.y + yDrift;
+      const y = cloud.renderY + yDrift;
 
       const safeColor = cloudColor || defaultColor;
       ctx.fillStyle = safeColor.replace(/[\d.]+\)/, `${cloud.opacity})`);
       ctx.beginPath();
 
       // Main cloud body
-      ctx.arc(cloud.x, y, cloud.size, 0, Math.PI * 2);
-      ctx.arc(cloud.x + cloud.size * 0.6, y - cloud.size * 0.25, cloud.size * 0.75, 0, Math.PI * 2);
-      ctx.arc(cloud.x + cloud.size * 1.1, y + cloud.size * 0.1, cloud.size * 0.85, 0, Math.PI * 2);
-      ctx.arc(cloud.x - cloud.size * 0.4, y + cloud.size * 0.15, cloud.size * 0.6, 0, Math.PI * 2);
+      ctx.arc(cloud.renderX, y, cloud.size, 0, Math.PI * 2);
+      ctx.arc(cloud.renderX + cloud.size * 0.6, y - cloud.size * 0.25, cloud.size * 0.75, 0, Math.PI * 2);
+      ctx.arc(cloud.renderX + cloud.size * 1.1, y + cloud.size * 0.1, cloud.size * 0.85, 0, Math.PI * 2);
+      ctx.arc(cloud.renderX - cloud.size * 0.4, y + cloud.size * 0.15, cloud.size * 0.6, 0, Math.PI * 2);
 
       ctx.fill();
     });
@@ -278,7 +295,7 @@ export class World {
 
     clouds.forEach((cloud, index) => {
       const yDrift = Math.sin(cloud.yOffset) * cloud.yDrift * 5;
-      const y = cloud.y + yDrift;
+      const y = cloud.renderY + yDrift;
 
       // Time-based flickering (cheaper than random + unique per cloud)
       const flicker = 0.8 + Math.sin(time + index * 0.5) * 0.2 + 0.2;
@@ -293,16 +310,16 @@ export class World {
       const safeSecondary = secondaryColor || defaultSecondaryColor;
       ctx.fillStyle = safeSecondary;
       ctx.beginPath();
-      ctx.arc(cloud.x, y, cloud.size * 1.3, 0, Math.PI * 2);
+      ctx.arc(cloud.renderX, y, cloud.size * 1.3, 0, Math.PI * 2);
       ctx.fill();
 
       // Draw primary color (inner flame)
       ctx.globalAlpha = opacity * 0.8;
       ctx.fillStyle = safePrimary;
       ctx.beginPath();
-      ctx.arc(cloud.x, y, cloud.size, 0, Math.PI * 2);
-      ctx.arc(cloud.x + cloud.size * 0.5, y - cloud.size * 0.4, cloud.size * 0.6, 0, Math.PI * 2);
-      ctx.arc(cloud.x - cloud.size * 0.3, y + cloud.size * 0.2, cloud.size * 0.7, 0, Math.PI * 2);
+      ctx.arc(cloud.renderX, y, cloud.size, 0, Math.PI * 2);
+      ctx.arc(cloud.renderX + cloud.size * 0.5, y - cloud.size * 0.4, cloud.size * 0.6, 0, Math.PI * 2);
+      ctx.arc(cloud.renderX - cloud.size * 0.3, y + cloud.size * 0.2, cloud.size * 0.7, 0, Math.PI * 2);
       ctx.fill();
 
       ctx.globalAlpha = 1.0; // Reset
@@ -325,27 +342,27 @@ export class World {
       : defaultInnerColor;
 
     clouds.forEach(cloud => {
-      const y = cloud.y;
+      const y = cloud.renderY;
 
       // Outer bubble
       const safeOuter = outerColor || defaultOuterColor;
       ctx.fillStyle = safeOuter.replace(/[\d.]+\)/, `${cloud.opacity})`);
       ctx.beginPath();
-      ctx.arc(cloud.x, y, cloud.size, 0, Math.PI * 2);
+      ctx.arc(cloud.renderX, y, cloud.size, 0, Math.PI * 2);
       ctx.fill();
 
       // Inner highlight
       const safeInner = innerColor || defaultInnerColor;
       ctx.fillStyle = safeInner.replace(/[\d.]+\)/, `${cloud.opacity * 0.6})`);
       ctx.beginPath();
-      ctx.arc(cloud.x - cloud.size * 0.3, y - cloud.size * 0.3, cloud.size * 0.4, 0, Math.PI * 2);
+      ctx.arc(cloud.renderX - cloud.size * 0.3, y - cloud.size * 0.3, cloud.size * 0.4, 0, Math.PI * 2);
       ctx.fill();
 
       // Bubble outline
       ctx.strokeStyle = `rgba(255, 255, 255, ${cloud.opacity * 0.3})`;
       ctx.lineWidth = 1;
       ctx.beginPath();
-      ctx.arc(cloud.x, y, cloud.size, 0, Math.PI * 2);
+      ctx.arc(cloud.renderX, y, cloud.size, 0, Math.PI * 2);
       ctx.stroke();
     });
   }
@@ -376,10 +393,10 @@ export class World {
 
     clouds.forEach((cloud, cloudIdx) => {
       const yDrift = Math.sin(cloud.yOffset) * cloud.yDrift * 4;
-      const y = cloud.y + yDrift;
+      const y = cloud.renderY + yDrift;
 
       // Create glowing nebula effect with multiple colors
-      const colorIndex = Math.floor(cloud.x / 100) % 3;
+      const colorIndex = Math.floor(cloud.renderX / 100) % 3;
 
       // Safely handle color replacement with guaranteed string values
       // Triple fallback: theme color -> colors array -> default array -> hard-coded default
@@ -402,8 +419,8 @@ export class World {
       const gradient = gradientCache.getRadial(
         ctx,
         `nebula-${colorIndex}-${Math.floor(cloud.opacity * 10)}-${cloudIdx}`,
-        cloud.x, y, 0,
-        cloud.x, y, cloud.size * 2,
+        cloud.renderX, y, 0,
+        cloud.renderX, y, cloud.size * 2,
         colorStops
       );
 
@@ -411,9 +428,9 @@ export class World {
       ctx.beginPath();
 
       // Irregular nebula shape
-      ctx.arc(cloud.x, y, cloud.size * 1.2, 0, Math.PI * 2);
-      ctx.arc(cloud.x + cloud.size * 0.8, y - cloud.size * 0.3, cloud.size * 0.9, 0, Math.PI * 2);
-      ctx.arc(cloud.x - cloud.size * 0.5, y + cloud.size * 0.4, cloud.size, 0, Math.PI * 2);
+      ctx.arc(cloud.renderX, y, cloud.size * 1.2, 0, Math.PI * 2);
+      ctx.arc(cloud.renderX + cloud.size * 0.8, y - cloud.size * 0.3, cloud.size * 0.9, 0, Math.PI * 2);
+      ctx.arc(cloud.renderX - cloud.size * 0.5, y + cloud.size * 0.4, cloud.size, 0, Math.PI * 2);
 
       ctx.fill();
 